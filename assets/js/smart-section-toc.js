@@ -11,72 +11,1187 @@
 (function () {
     "use strict";
 
-    function initSmartSectionTOC() {
+    // Hver [smart_section_toc] / [smart_section_toc_mobile_button] er sin egen
+    // instans. Klasserne er fallback for markup fra før data-attributten.
+    const ROOT_SELECTOR =
+        "[data-smart-toc], .smart-toc-navigation, .smart-toc-inline";
+
+    // Headings (eller containere) der altid udelades – samme som
+    // Smart_Section_TOC_Outline::EXCLUDE_SELECTOR i PHP
+    const EXCLUDE_SELECTOR = "[data-toc-exclude], .no-toc";
+
+    /**
+     * Link text for a heading: data-toc-label when set, else its text.
+     *
+     * @param {Element} heading
+     * @return {string}
+     */
+    function getHeadingLabel(heading) {
+        const label = (heading.dataset.tocLabel || "").trim();
+        return label || heading.textContent;
+    }
+
+    /**
+     * Stand-in for a heading on another page of a paginated post, with the
+     * properties the TOC reads from heading elements.
+     *
+     * @param {{id: string, text: string, label: string, level: number}} item Heading from the server outline.
+     * @param {{number: number, url: string}} page
+     * @return {{id: string, tagName: string, textContent: string, dataset: Object, page: number, url: string}}
+     */
+    function createPageHeading(item, page) {
+        return {
+            id: item.id,
+            tagName: `H${item.level}`,
+            textContent: item.text,
+            dataset: { tocLabel: item.label },
+            page: page.number,
+            url: `${page.url}#${item.id}`,
+        };
+    }
+
+    // Kæde-ikon til heading-ankre (ingen tekst, så heading.textContent er uændret)
+    const ANCHOR_ICON =
+        '<svg aria-hidden="true" focusable="false" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>';
+
+    /**
+     * Dispatches a namespaced CustomEvent (e.g. "smarttoc:ready") on the TOC
+     * root. The event bubbles, so listeners on document receive it too.
+     *
+     * @param {Element} target Root element of the TOC instance.
+     * @param {string}  name   Event name without the "smarttoc:" prefix.
+     * @param {Object}  detail Event payload.
+     */
+    function dispatchTocEvent(target, name, detail) {
+        target.dispatchEvent(
+            new CustomEvent(`smarttoc:${name}`, { bubbles: true, detail }),
+        );
+    }
+
+    // Analytics-callback sat via SmartSectionTOC.setAnalyticsCallback()
+    let analyticsCallback = null;
+
+    // Sektioner der allerede er rapporteret. Delt af alle instanser, så en
+    // desktop-TOC og en mobilknap på samme side ikke tæller dobbelt.
+    const reachedSections = new WeakSet();
+    const readSections = new WeakSet();
+
+    /**
+     * Sends a usage event to window.dataLayer and/or the configured
+     * callbacks. Nothing is sent unless analytics is enabled in PHP and at
+     * least one sink exists; window.dataLayer is never created here.
+     *
+     * dataLayer gets { event: "smarttoc_<name>", smartToc: payload }, the
+     * callbacks get (name, payload).
+     *
+     * @param {Object} options Analytics settings from PHP.
+     * @param {string} name    Event name, e.g. "section_reach".
+     * @param {Object} payload
+     */
+    function trackEvent(options, name, payload) {
+        if (!options || !options.enabled) return;
+
+        const named = String(options.callback || "")
+            .split(".")
+            .reduce((obj, key) => (obj && key ? obj[key] : undefined), window);
+        const callbacks = [analyticsCallback, named].filter(
+            (fn, i, list) => typeof fn === "function" && list.indexOf(fn) === i,
+        );
+
+        if (options.dataLayer && Array.isArray(window.dataLayer)) {
+            window.dataLayer.push({
+                event: `smarttoc_${name}`,
+                smartToc: payload,
+            });
+        }
+        callbacks.forEach((fn) => {
+            try {
+                fn(name, payload);
+            } catch (err) {
+                // Må ikke bryde TOC'en, men skal stadig kunne ses i devtools
+                setTimeout(() => {
+                    throw err;
+                });
+            }
+        });
+    }
+
+    /**
+     * Lower-cases text and strips diacritics for the TOC filter ("Å" and
+     * "a" match). map[i] is the index in the original text of folded
+     * character i, so a match can be highlighted in the original.
+     *
+     * @param {string} text
+     * @return {{folded: string, map: number[]}}
+     */
+    function foldText(text) {
+        let folded = "";
+        const map = [];
+        let index = 0;
+        for (const char of text) {
+            const part = char
+                .toLowerCase()
+                .normalize("NFD")
+                .replace(/\p{Mn}/gu, "");
+            for (let i = 0; i < part.length; i++) map.push(index);
+            folded += part;
+            index += char.length;
+        }
+        map.push(index);
+        return { folded, map };
+    }
+
+    // Slug-indstillinger. Tabellen kommer fra PHP
+    // (Smart_Section_TOC_Outline::get_transliteration_table()); den lille
+    // fallback her dækker de bogstaver, der altid har været understøttet.
+    const slugDefaults = {
+        prefix: "heading-",
+        unicode: false,
+        transliterate: false,
+        maxLength: 0,
+        transliteration: {
+            æ: "ae",
+            ø: "oe",
+            å: "aa",
+            ä: "ae",
+            ö: "oe",
+            ü: "ue",
+        },
+    };
+    const slugOptions = Object.assign(
+        {},
+        slugDefaults,
+        window.smartSectionTOC && window.smartSectionTOC.slug,
+    );
+
+    // Én regex med alle nøgler, længste først, så nøgler på flere tegn vinder.
+    const transliterationPattern = (() => {
+        const keys = Object.keys(slugOptions.transliteration || {})
+            .filter(Boolean)
+            .sort((a, b) => b.length - a.length)
+            .map((key) => key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+        return keys.length ? new RegExp(keys.join("|"), "g") : null;
+    })();
+
+    // Valgfri custom slugger sat via SmartSectionTOC.setSlugger()
+    let customSlugger = null;
+
+    /**
+     * Turns heading text into a slug. Same rules as
+     * Smart_Section_TOC_Outline::slugify() in PHP – keep them in sync:
+     *
+     * 1. lowercase
+     * 2. ASCII mode: transliterate (æ → ae; with full transliteration also
+     *    ł → l, ж → zh, … and the remaining accents are stripped), then drop
+     *    everything but a–z, 0–9, _ and dashes. Unicode mode: keep letters,
+     *    numbers and marks from any script.
+     * 3. whitespace runs become a dash
+     * 4. cut to maxLength (if set) without leaving a trailing dash
+     * 5. slugs with nothing but dashes left (emoji-only headings, CJK in
+     *    ASCII mode) become "section"
+     *
+     * @param {string} text Heading text.
+     * @return {string}
+     */
+    function generateSlug(text) {
+        let slug = text.toLowerCase();
+
+        if (slugOptions.unicode) {
+            slug = slug
+                .normalize("NFC")
+                .replace(/[^\p{L}\p{N}\p{M}_\s-]/gu, "");
+        } else {
+            if (transliterationPattern) {
+                slug = slug.replace(
+                    transliterationPattern,
+                    (match) => slugOptions.transliteration[match],
+                );
+            }
+            // Med de oprindelige regler fjernes andre bogstaver nedenfor
+            if (slugOptions.transliterate) {
+                slug = slug.normalize("NFD").replace(/\p{Mn}/gu, "");
+            }
+            slug = slug.replace(/[^a-z0-9_\s-]/g, "");
+        }
+
+        slug = slug.replace(/\s+/g, "-").trim();
+
+        const maxLength = parseInt(slugOptions.maxLength, 10);
+        if (maxLength > 0) {
+            const chars = Array.from(slug);
+            if (chars.length > maxLength) {
+                slug = chars.slice(0, maxLength).join("").replace(/-+$/, "");
+            }
+        }
+
+        if (!slug.replace(/[-_]/g, "")) slug = "section";
+
+        if (typeof customSlugger === "function") {
+            const custom = customSlugger(slug, text);
+            if (typeof custom === "string" && custom.trim()) {
+                slug = custom.trim();
+            }
+        }
+
+        return slug;
+    }
+
+    /**
+     * Returns a heading id that is not taken yet and reserves it. Duplicates
+     * get a counter suffix (heading-intro, heading-intro-2, …). The taken ids
+     * are the ones on the headings the selector matches, excluded ones
+     * included – the same set Smart_Section_TOC_Outline::parse() checks.
+     *
+     * @param {string}      text     Heading text.
+     * @param {Set<string>} takenIds Ids in use, including ones generated so far.
+     * @return {string}
+     */
+    function createHeadingId(text, takenIds) {
+        const base = `${slugOptions.prefix}${generateSlug(text)}`;
+        let id = base;
+        let count = 1;
+        while (takenIds.has(id)) {
+            count += 1;
+            id = `${base}-${count}`;
+        }
+        takenIds.add(id);
+        return id;
+    }
+
+    /**
+     * querySelectorAll that tolerates invalid selectors (e.g. a typo in a
+     * shortcode attribute) instead of breaking the whole TOC. Invalid
+     * selectors match nothing.
+     *
+     * @param {Element|Document} scope
+     * @param {string}           selector
+     * @return {Element[]}
+     */
+    function queryAll(scope, selector) {
+        try {
+            return Array.from(scope.querySelectorAll(selector));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Returns true when the element or one of its ancestors matches the
+     * selector. Invalid selectors never match.
+     *
+     * @param {Element} element
+     * @param {string}  selector
+     * @return {boolean}
+     */
+    function closestMatches(element, selector) {
+        if (!selector) return false;
+        try {
+            return element.closest(selector) !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Formats section number parts, e.g. [4, 1] as "IV.1" for "roman".
+     * The style applies to the first part only; deeper parts are decimal,
+     * like format_number() in the PHP outline class.
+     *
+     * @param {number[]} parts
+     * @param {string}   style "decimal", "alpha" or "roman".
+     * @return {string}
+     */
+    function formatSectionNumber(parts, style) {
+        const [first, ...rest] = parts;
+        let label = String(first);
+
+        if (style === "alpha") {
+            label = "";
+            for (let n = first; n > 0; n = Math.floor((n - 1) / 26)) {
+                label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+            }
+        } else if (style === "roman") {
+            const numerals = [
+                ["M", 1000], ["CM", 900], ["D", 500], ["CD", 400],
+                ["C", 100], ["XC", 90], ["L", 50], ["XL", 40],
+                ["X", 10], ["IX", 9], ["V", 5], ["IV", 4], ["I", 1],
+            ];
+            label = "";
+            let n = first;
+            numerals.forEach(([numeral, value]) => {
+                while (n >= value) {
+                    label += numeral;
+                    n -= value;
+                }
+            });
+        }
+
+        return [label, ...rest].join(".");
+    }
+
+    // Hvor langt (px) der skal swipes ned for at lukke popup'en
+    const SWIPE_CLOSE_DISTANCE = 60;
+
+    const FOCUSABLE_SELECTOR =
+        'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    /**
+     * Visible, focusable elements in a container, in DOM order. Links in
+     * collapsed branches are skipped.
+     *
+     * @param {Element} container
+     * @return {Element[]}
+     */
+    function getFocusable(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+            (el) => !el.closest("[hidden], [inert]") && el.getClientRects().length,
+        );
+    }
+
+    /**
+     * Makes everything outside the given elements inert, so screen readers
+     * and Tab stay inside an open dialog. Elements that were inert already
+     * are left alone.
+     *
+     * @param {Element[]} keep Elements (and their ancestors) to keep usable.
+     * @return {Function} Restores the previous state.
+     */
+    function inertOutside(keep) {
+        const changed = [];
+        keep.forEach((element) => {
+            let node = element;
+            while (node && node !== document.body && node.parentElement) {
+                Array.from(node.parentElement.children).forEach((sibling) => {
+                    if (
+                        sibling === node ||
+                        sibling.inert ||
+                        keep.some((kept) => sibling.contains(kept)) ||
+                        ["SCRIPT", "STYLE", "LINK"].includes(sibling.tagName)
+                    ) {
+                        return;
+                    }
+                    sibling.inert = true;
+                    changed.push(sibling);
+                });
+                node = node.parentElement;
+            }
+        });
+        return () => changed.forEach((element) => (element.inert = false));
+    }
+
+    // Scroll-lås deles af alle popups (tæller, hvis flere er åbne)
+    let scrollLocks = 0;
+    let scrollLockStyles = null;
+
+    /**
+     * Stops the page behind an open popup from scrolling. The scrollbar
+     * width is added as padding, so the layout does not jump.
+     */
+    function lockScroll() {
+        scrollLocks += 1;
+        if (scrollLocks > 1) return;
+
+        const html = document.documentElement;
+        const body = document.body;
+        const scrollbarWidth = window.innerWidth - html.clientWidth;
+        scrollLockStyles = {
+            overflow: html.style.overflow,
+            paddingRight: body.style.paddingRight,
+        };
+        html.style.overflow = "hidden";
+        if (scrollbarWidth > 0) {
+            const padding = parseFloat(getComputedStyle(body).paddingRight) || 0;
+            body.style.paddingRight = `${padding + scrollbarWidth}px`;
+        }
+    }
+
+    function unlockScroll() {
+        if (scrollLocks === 0) return;
+        scrollLocks -= 1;
+        if (scrollLocks > 0 || !scrollLockStyles) return;
+
+        document.documentElement.style.overflow = scrollLockStyles.overflow;
+        document.body.style.paddingRight = scrollLockStyles.paddingRight;
+        scrollLockStyles = null;
+    }
+
+    // Easing til scroll med fast varighed (smart_section_toc_scroll_easing)
+    const EASINGS = {
+        linear: (t) => t,
+        "ease-in": (t) => t * t * t,
+        "ease-out": (t) => 1 - Math.pow(1 - t, 3),
+        "ease-in-out": (t) =>
+            t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    };
+
+    // Taster der scroller siden og derfor afbryder en igangværende scroll
+    const SCROLL_KEYS = [
+        "ArrowUp",
+        "ArrowDown",
+        "PageUp",
+        "PageDown",
+        "Home",
+        "End",
+        " ",
+    ];
+
+    // Længste ventetid på at browserens smooth scroll melder færdig
+    const SCROLL_TIMEOUT = 3000;
+
+    // Den igangværende scroll; en ny scroll afbryder den gamle
+    let currentScroll = null;
+
+    function prefersReducedMotion() {
+        return (
+            typeof window.matchMedia === "function" &&
+            window.matchMedia("(prefers-reduced-motion: reduce)").matches
+        );
+    }
+
+    /**
+     * Scrolls the window to a position and resolves once the scroll has
+     * really finished. Wheel, touch and scroll keys cancel it, and so does
+     * a newer scroll. With reduced motion the page jumps instantly.
+     *
+     * With a duration the scroll is animated here with the easing;
+     * without one the browser's smooth scrolling is used, and completion
+     * is detected with the scrollend event, or by waiting for the position
+     * to settle where scrollend is not supported.
+     *
+     * @param {number} top
+     * @param {Object}          [options]
+     * @param {string}          [options.behavior="smooth"] "auto" jumps.
+     * @param {number}          [options.duration=0] Length in ms.
+     * @param {string|Function} [options.easing="ease-in-out"] Name from
+     *     EASINGS or a function mapping 0–1 to 0–1.
+     * @return {Promise<boolean>} True when the position was reached, false
+     *     when the scroll was cancelled.
+     */
+    function scrollWindowTo(top, options = {}) {
+        if (currentScroll) currentScroll.cancel();
+
+        const maxTop = Math.max(
+            0,
+            document.documentElement.scrollHeight - window.innerHeight,
+        );
+        const target = Math.max(0, Math.min(Math.round(top), maxTop));
+        const startY = window.scrollY;
+
+        if (
+            options.behavior === "auto" ||
+            options.behavior === "instant" ||
+            prefersReducedMotion() ||
+            Math.abs(startY - target) < 1
+        ) {
+            window.scrollTo(0, target);
+            return Promise.resolve(true);
+        }
+
+        const duration = Math.max(0, Number(options.duration) || 0);
+        const easing =
+            typeof options.easing === "function"
+                ? options.easing
+                : EASINGS[options.easing] || EASINGS["ease-in-out"];
+        const reached = () => Math.abs(window.scrollY - target) < 2;
+
+        return new Promise((resolve) => {
+            const startTime = performance.now();
+            const scroll = {};
+            let frame = null;
+            let timeout = null;
+            let lastY = startY;
+            let lastMove = startTime;
+
+            const finish = (result) => {
+                if (currentScroll !== scroll) return;
+                currentScroll = null;
+                if (frame) cancelAnimationFrame(frame);
+                clearTimeout(timeout);
+                window.removeEventListener("scrollend", onScrollEnd);
+                window.removeEventListener("wheel", onInput);
+                window.removeEventListener("touchstart", onInput);
+                window.removeEventListener("keydown", onKeydown);
+                resolve(result);
+            };
+
+            // Input fra før scrollet startede (fx Enter på et link) tæller ikke
+            const onInput = (e) => {
+                if (e.timeStamp >= startTime) finish(false);
+            };
+            const onKeydown = (e) => {
+                if (!e.defaultPrevented && SCROLL_KEYS.includes(e.key)) {
+                    onInput(e);
+                }
+            };
+            const onScrollEnd = () => finish(reached());
+
+            const step = (now) => {
+                frame = null;
+                if (duration) {
+                    const t = Math.min(1, (now - startTime) / duration);
+                    window.scrollTo(0, startY + (target - startY) * easing(t));
+                    if (t >= 1) {
+                        finish(true);
+                        return;
+                    }
+                } else {
+                    // Uden scrollend: færdig når positionen står stille
+                    const y = window.scrollY;
+                    if (reached()) {
+                        finish(true);
+                        return;
+                    }
+                    if (y !== lastY) {
+                        lastY = y;
+                        lastMove = now;
+                    } else if (now - lastMove > 150) {
+                        finish(false);
+                        return;
+                    }
+                }
+                frame = requestAnimationFrame(step);
+            };
+
+            scroll.cancel = () => finish(false);
+            currentScroll = scroll;
+            window.addEventListener("wheel", onInput, { passive: true });
+            window.addEventListener("touchstart", onInput, { passive: true });
+            window.addEventListener("keydown", onKeydown);
+
+            if (duration) {
+                frame = requestAnimationFrame(step);
+                return;
+            }
+
+            try {
+                window.scrollTo({ top: target, behavior: "smooth" });
+            } catch (_) {
+                window.scrollTo(0, target);
+            }
+            if ("onscrollend" in window) {
+                window.addEventListener("scrollend", onScrollEnd);
+            } else {
+                frame = requestAnimationFrame(step);
+            }
+            timeout = setTimeout(() => finish(reached()), SCROLL_TIMEOUT);
+        });
+    }
+
+    /**
+     * Opens a closed <details>.
+     *
+     * @param {Element} element
+     * @return {boolean}
+     */
+    function revealDetails(element) {
+        if (element.tagName !== "DETAILS" || element.open) return false;
+        element.open = true;
+        return true;
+    }
+
+    /**
+     * Reveals hidden="until-found" content the way find-in-page does.
+     *
+     * @param {Element} element
+     * @return {boolean}
+     */
+    function revealUntilFound(element) {
+        if (element.getAttribute("hidden") !== "until-found") return false;
+        element.dispatchEvent(new Event("beforematch", { bubbles: true }));
+        element.removeAttribute("hidden");
+        return true;
+    }
+
+    /**
+     * Opens accordion panels and tab panels that follow the ARIA patterns:
+     * a button with aria-expanded="false" controlling the panel, or a
+     * role="tab" that is not selected. The control is clicked, so the
+     * widget's own script does the switching. Panels that are rendered are
+     * left alone, so unrelated widgets around the heading stay as they are.
+     *
+     * @param {Element} element
+     * @return {boolean}
+     */
+    function revealAriaPanel(element) {
+        if (!element.id || element.getClientRects().length) return false;
+        const id = CSS.escape(element.id);
+        const labelledBy = (element.getAttribute("aria-labelledby") || "")
+            .split(/\s+/)
+            .filter(Boolean);
+        const controls = Array.from(
+            document.querySelectorAll(`[aria-controls~="${id}"]`),
+        );
+        if (element.getAttribute("role") === "tabpanel") {
+            labelledBy.forEach((labelId) => {
+                const tab = document.getElementById(labelId);
+                if (tab && !controls.includes(tab)) controls.push(tab);
+            });
+        }
+
+        const control = controls.find(
+            (el) =>
+                el.getAttribute("aria-expanded") === "false" ||
+                (el.getAttribute("role") === "tab" &&
+                    el.getAttribute("aria-selected") !== "true"),
+        );
+        if (!control) return false;
+        control.click();
+        return true;
+    }
+
+    // Revealers køres på forfædrene til en skjult heading, yderst først,
+    // indtil den er synlig. SmartSectionTOC.addRevealer() tilføjer egne.
+    const revealers = [revealDetails, revealUntilFound, revealAriaPanel];
+
+    /**
+     * Opens the closed details, accordions and tabs around a heading that
+     * is not rendered. Stops as soon as the heading is visible.
+     *
+     * @param {Element} heading
+     * @return {boolean} Whether anything was opened.
+     */
+    function revealHeading(heading) {
+        if (heading.getClientRects().length) return false;
+
+        const ancestors = [];
+        for (
+            let el = heading.parentElement;
+            el && el !== document.body;
+            el = el.parentElement
+        ) {
+            ancestors.unshift(el);
+        }
+
+        let revealed = false;
+        for (const element of ancestors) {
+            for (const revealer of revealers) {
+                try {
+                    if (revealer(element, heading)) revealed = true;
+                } catch (_) {
+                    // En fejlende revealer må ikke stoppe navigationen
+                }
+            }
+            if (revealed && heading.getClientRects().length) break;
+        }
+        return revealed;
+    }
+
+    /**
+     * Resolves once an element is rendered and has stopped moving (an
+     * accordion may animate open), or after a short timeout.
+     *
+     * @param {Element} element
+     * @return {Promise<void>}
+     */
+    function waitForLayout(element) {
+        return new Promise((resolve) => {
+            const start = performance.now();
+            let lastTop = null;
+            const check = (now) => {
+                const rendered = element.getClientRects().length > 0;
+                const top = rendered ? element.getBoundingClientRect().top : null;
+                if ((rendered && top === lastTop) || now - start > 600) {
+                    resolve();
+                    return;
+                }
+                lastTop = top;
+                requestAnimationFrame(check);
+            };
+            requestAnimationFrame(check);
+        });
+    }
+
+    // Header-indstillinger fra PHP (smart_section_toc_header_selectors og
+    // smart_section_toc_header_gap)
+    const headerOptions = Object.assign(
+        {
+            selectors: [
+                ".site-header",
+                ".header-sticky",
+                'header[data-sticky="true"]',
+                ".sticky-header",
+                "#masthead.sticky",
+                "header.fixed",
+            ],
+            gap: 20,
+        },
+        window.smartSectionTOC && window.smartSectionTOC.header,
+    );
+
+    // Offset-system: headere der dækker toppen af siden, målt når de ændrer
+    // sig (ResizeObserver, klasse-/style-skift, transitions) – ikke ved
+    // hvert scroll. Admin-baren er altid med.
+    let trackedHeaders = [];
+    const headerListeners = new Set();
+    let headerCleanups = [];
+    let headerSampleFrame = null;
+
+    /**
+     * Reads the current state of a tracked header and learns how it
+     * behaves: its height at the top of the page and once scrolled
+     * (shrinking headers), and whether it hides on scroll.
+     *
+     * @param {Object} entry
+     * @return {boolean} Whether anything changed.
+     */
+    function sampleHeader(entry) {
+        const el = entry.element;
+        const style = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        const scrollY = window.scrollY;
+        const before = JSON.stringify(entry.state);
+
+        entry.state.fixed =
+            style.display !== "none" &&
+            (style.position === "fixed" || style.position === "sticky");
+        entry.state.height = rect.height;
+        // Sticky headere hænger ved deres CSS top; faste headere ved rect.top
+        const restingTop =
+            style.position === "sticky"
+                ? parseFloat(style.top) || 0
+                : Math.max(0, entry.state.visible ? rect.top : entry.state.top);
+        entry.state.hidden =
+            style.visibility === "hidden" ||
+            rect.height === 0 ||
+            rect.bottom <= restingTop + 1;
+        entry.state.visible = !entry.state.hidden;
+
+        if (entry.state.fixed && entry.state.visible) {
+            entry.state.top = restingTop;
+            if (scrollY <= 1) {
+                entry.state.expandedHeight = rect.height;
+            } else {
+                entry.state.compactHeight = rect.height;
+                if (
+                    entry.state.expandedHeight &&
+                    rect.height < entry.state.expandedHeight
+                ) {
+                    entry.state.compactFrom = Math.min(
+                        entry.state.compactFrom || Infinity,
+                        scrollY,
+                    );
+                }
+            }
+        }
+        if (entry.state.fixed && entry.state.hidden && scrollY > 0) {
+            entry.state.hidesOnScroll = true;
+        }
+
+        return JSON.stringify(entry.state) !== before;
+    }
+
+    function sampleHeaders() {
+        headerSampleFrame = null;
+        const changed = trackedHeaders
+            .map(sampleHeader)
+            .some((result) => result);
+        if (changed) headerListeners.forEach((listener) => listener());
+    }
+
+    function scheduleHeaderSample() {
+        if (headerSampleFrame) return;
+        headerSampleFrame = window.requestAnimationFrame(sampleHeaders);
+    }
+
+    /**
+     * (Re)starts tracking of #wpadminbar and the configured header
+     * selectors. Elements that are never fixed or sticky are tracked too,
+     * since many themes only make the header sticky after scrolling.
+     */
+    function initHeaderTracking() {
+        headerCleanups.forEach((cleanup) => cleanup());
+        headerCleanups = [];
+
+        const elements = [];
+        ["#wpadminbar"].concat(headerOptions.selectors || []).forEach(
+            (selector) => {
+                const element = queryAll(document, selector)[0];
+                if (element && !elements.includes(element)) {
+                    elements.push(element);
+                }
+            },
+        );
+
+        trackedHeaders = elements.map((element) => ({
+            element,
+            isAdminBar: element.id === "wpadminbar",
+            state: { top: 0, visible: true },
+        }));
+        trackedHeaders.forEach(sampleHeader);
+        if (!trackedHeaders.length) return;
+
+        if (typeof ResizeObserver !== "undefined") {
+            const resizeObserver = new ResizeObserver(scheduleHeaderSample);
+            elements.forEach((element) => resizeObserver.observe(element));
+            headerCleanups.push(() => resizeObserver.disconnect());
+        }
+
+        // Hide-on-scroll headere skifter typisk klasse eller inline transform
+        // på headeren selv eller på body
+        const mutationObserver = new MutationObserver(scheduleHeaderSample);
+        elements.concat(document.body).forEach((element) =>
+            mutationObserver.observe(element, {
+                attributes: true,
+                attributeFilter: ["class", "style"],
+            }),
+        );
+        headerCleanups.push(() => mutationObserver.disconnect());
+
+        elements.forEach((element) =>
+            element.addEventListener("transitionend", scheduleHeaderSample),
+        );
+        window.addEventListener("resize", scheduleHeaderSample);
+        headerCleanups.push(() => {
+            elements.forEach((element) =>
+                element.removeEventListener(
+                    "transitionend",
+                    scheduleHeaderSample,
+                ),
+            );
+            window.removeEventListener("resize", scheduleHeaderSample);
+            if (headerSampleFrame) {
+                window.cancelAnimationFrame(headerSampleFrame);
+                headerSampleFrame = null;
+            }
+        });
+    }
+
+    /**
+     * How far down the viewport the tracked headers reach, either now or
+     * predicted for a scroll destination: a hide-on-scroll header is gone
+     * after scrolling down and back after scrolling up, and a shrinking
+     * header has its compact height once the page is scrolled.
+     *
+     * @param {number} [targetY] Scroll position to predict for; omitted
+     *     for the current state.
+     * @return {{bottom: number, found: boolean}} found is false when no
+     *     theme header is fixed or sticky (the admin bar does not count).
+     */
+    function getHeaderBottom(targetY) {
+        const predict = typeof targetY === "number";
+        const scrollY = window.scrollY;
+        let bottom = 0;
+        let found = false;
+
+        trackedHeaders.forEach(({ isAdminBar, state }) => {
+            if (!state.fixed) return;
+            if (!isAdminBar) found = true;
+
+            let hidden = state.hidden;
+            let height = state.height;
+            if (predict) {
+                if (state.hidesOnScroll && targetY !== scrollY) {
+                    hidden = targetY > scrollY && targetY > 0;
+                }
+                const compact = targetY >= (state.compactFrom || 1);
+                height =
+                    (compact ? state.compactHeight : state.expandedHeight) ||
+                    state.height;
+            }
+            if (!hidden) bottom = Math.max(bottom, state.top + height);
+        });
+
+        return { bottom, found };
+    }
+
+    /**
+     * @param {Function} listener Called when a tracked header changes.
+     * @return {Function} Unsubscribes the listener.
+     */
+    function onHeaderChange(listener) {
+        headerListeners.add(listener);
+        return () => headerListeners.delete(listener);
+    }
+
+    /**
+     * Full URL for a section, in the form the deep-link handling reads back.
+     *
+     * @param {string} id Heading id.
+     * @return {string}
+     */
+    function getSectionUrl(id) {
+        return `${window.location.href.split("#")[0]}#${encodeURIComponent(id)}`;
+    }
+
+    /**
+     * Copies text to the clipboard, with a hidden textarea as fallback
+     * where the Clipboard API is missing (http, older browsers).
+     *
+     * @param {string} text
+     * @return {Promise<boolean>} Whether the text was copied.
+     */
+    function copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text).then(
+                () => true,
+                () => copyTextFallback(text),
+            );
+        }
+        return Promise.resolve(copyTextFallback(text));
+    }
+
+    function copyTextFallback(text) {
+        const textarea = document.createElement("textarea");
+        textarea.value = text;
+        textarea.setAttribute("readonly", "");
+        textarea.style.position = "fixed";
+        textarea.style.opacity = "0";
+        document.body.appendChild(textarea);
+        textarea.select();
+        let copied = false;
+        try {
+            copied = document.execCommand("copy");
+        } catch (error) {
+            copied = false;
+        }
+        textarea.remove();
+        return copied;
+    }
+
+    // Én fælles toast (role="status") til alle instanser
+    let toast = null;
+    let toastTimeout = null;
+
+    /**
+     * Shows a short message that screen readers announce politely.
+     *
+     * @param {string} message
+     */
+    function showToast(message) {
+        if (!toast) {
+            toast = document.createElement("div");
+            toast.className = "smart-toc-toast";
+            toast.setAttribute("role", "status");
+            toast.setAttribute("aria-live", "polite");
+            document.body.appendChild(toast);
+        }
+        // Tøm først, så samme besked annonceres igen ved gentagne klik
+        toast.textContent = "";
+        requestAnimationFrame(() => {
+            toast.textContent = message;
+            toast.classList.add("is-visible");
+        });
+        clearTimeout(toastTimeout);
+        toastTimeout = setTimeout(() => {
+            toast.classList.remove("is-visible");
+        }, 2500);
+    }
+
+    /**
+     * Finds the content area for a TOC. When several elements match the
+     * selector, the one containing the TOC wins, otherwise the first match.
+     *
+     * @param {Element} root     Root element of the TOC instance.
+     * @param {string}  selector Content selector.
+     * @return {Element|null}
+     */
+    function resolveContentArea(root, selector) {
+        const candidates = queryAll(document, selector);
+        return (
+            candidates.find((candidate) => candidate.contains(root)) ||
+            candidates[0] ||
+            null
+        );
+    }
+
+    let sublistCounter = 0;
+    let filterCounter = 0;
+
+    /**
+     * Builds one TOC instance and wires up all behaviour inside its root.
+     *
+     * @param {Element} root The TOC container (.smart-toc-navigation or
+     *                       .smart-toc-inline).
+     * @return {Object|null} Controller with destroy(), scrollTo(), getHeadings()
+     *                       and getActive(), or null when no TOC was built.
+     */
+    function initSmartSectionTOC(root) {
         // Settings fra PHP → JS
-        const settings = window.smartSectionTOC || {
+        const defaults = {
             contentSelector: ".site-content",
             headingSelector: "h2",
             scrollOffset: 80,
             minHeadings: 1,
-            strings: { goToSection: "Go to section:" },
+            collapsible: true,
+            liveUpdate: false,
+            liveUpdateDelay: 250,
+            activationLine: 0.2,
+            excludeSelectors: [".widget"],
+            anchors: false,
+            mobileBar: false,
+            markCollapsed: false,
+            readingProgress: false,
+            filter: false,
+            filterMinHeadings: 10,
+            pagination: null,
+            numbering: { style: "none", startLevel: 2, headings: false },
+            history: "none",
+            historyOnScroll: false,
+            scrollDuration: 0,
+            scrollEasing: "ease-in-out",
+            analytics: {
+                enabled: false,
+                dataLayer: true,
+                callback: "",
+                readTime: 10,
+            },
+            strings: {
+                goToSection: "Go to section:",
+                subsections: "Subsections of",
+                currentSection: "Current section:",
+                readingProgress: "Reading progress",
+                filterLabel: "Filter sections",
+                filterCountOne: "%d matching section",
+                filterCount: "%d matching sections",
+                filterNone: "No matching sections",
+                pageNumber: "Page %d",
+                copyLink: "Copy link to section:",
+                linkCopied: "Link copied",
+                linkInAddressBar: "Copy the link from the address bar",
+            },
         };
+        const settings = Object.assign({}, defaults, window.smartSectionTOC);
+        settings.strings = Object.assign(
+            {},
+            defaults.strings,
+            window.smartSectionTOC && window.smartSectionTOC.strings,
+        );
+
+        // Per-instans overrides fra shortcode-attributterne (data-smart-toc-*)
+        const data = root.dataset;
+        if (data.smartTocContent) settings.contentSelector = data.smartTocContent;
+        if (data.smartTocHeadings) {
+            settings.headingSelector = data.smartTocHeadings;
+        }
+        if (data.smartTocMin) settings.minHeadings = Number(data.smartTocMin);
+        if (data.smartTocExclude) settings.excludeSelector = data.smartTocExclude;
+        const instanceOffset = parseInt(data.smartTocOffset, 10);
 
         const popupCloseMap = new WeakMap();
+        const popupOpenMap = new WeakMap();
+        const controller = { root };
+
+        // Alt der skal rives ned igen i destroy()
+        const cleanups = [];
+        function listen(target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            cleanups.push(() =>
+                target.removeEventListener(type, handler, options),
+            );
+        }
 
-        // Find ALLE lister (.smart-toc-list) – én til desktop, én til popup
-        const tocLists = document.querySelectorAll(".smart-toc-list");
-        if (!tocLists.length) return;
+        // Find instansens lister (.smart-toc-list) – én til desktop, én til popup
+        const tocLists = root.querySelectorAll(".smart-toc-list");
+        if (!tocLists.length) return null;
 
-        const contentArea = document.querySelector(settings.contentSelector);
-        if (!contentArea) return;
+        const contentArea = resolveContentArea(root, settings.contentSelector);
+        if (!contentArea) return null;
 
-        // Saml alle H2 (eller valgt headingSelector)
-        const headings = contentArea.querySelectorAll(settings.headingSelector);
+        // Indbygget, site-wide og per-instans exclude – hver for sig, så en
+        // ugyldig selector ikke slår de andre fra
+        const excludeSelectors = [EXCLUDE_SELECTOR]
+            .concat(settings.excludeSelectors || [], settings.excludeSelector)
+            .filter(Boolean);
 
-        // Stop hvis vi har færre headings end minimum
-        const min = Number(settings.minHeadings || 1);
-        if (!headings || headings.length < min) {
-            const tocContainer = document.querySelector(
-                ".smart-toc-navigation",
+        // Saml alle H2 (eller valgt headingSelector) – men aldrig TOC'ens egne
+        // overskrifter, hvis den står inde i indholdet
+        function collectHeadings() {
+            return queryAll(contentArea, settings.headingSelector).filter(
+                (heading) =>
+                    !heading.closest(ROOT_SELECTOR) &&
+                    !excludeSelectors.some((selector) =>
+                        closestMatches(heading, selector),
+                    ),
             );
-            if (tocContainer) {
-                tocContainer.dataset.tocCount = String(
-                    headings ? headings.length : 0,
-                );
+        }
+        let headings = collectHeadings();
+
+        // Overskrifter på de andre sider af et post delt med <!--nextpage-->
+        // (smart_section_toc_paginated) – kun når instansen bruger sitets
+        // egne selectors, ligesom server-render
+        const pagination =
+            settings.pagination &&
+            !data.smartTocContent &&
+            !data.smartTocHeadings &&
+            !data.smartTocExclude
+                ? settings.pagination
+                : null;
+        const pagesBefore = [];
+        const pagesAfter = [];
+        const offPageHeadings = new Map();
+        if (pagination) {
+            (pagination.pages || []).forEach((page) => {
+                if (page.number === pagination.current) return;
+                (page.headings || []).forEach((item) => {
+                    const heading = createPageHeading(item, page);
+                    offPageHeadings.set(heading.url, heading);
+                    (page.number < pagination.current
+                        ? pagesBefore
+                        : pagesAfter
+                    ).push(heading);
+                });
+            });
+        }
+
+        /**
+         * The headings the TOC lists: the ones on this page and, in a
+         * paginated post, the stand-ins for the other pages around them.
+         *
+         * @return {Array<Element|Object>}
+         */
+        function getOutline() {
+            return pagination
+                ? pagesBefore.concat(headings, pagesAfter)
+                : headings;
+        }
+
+        /**
+         * The heading (or off-page stand-in) a TOC link points to.
+         *
+         * @param {Element} link
+         * @return {Element|Object|null}
+         */
+        function getLinkHeading(link) {
+            const href = link.getAttribute("href") || "";
+            if (href.charAt(0) === "#") {
+                return document.getElementById(href.substring(1));
             }
-            return;
+            return offPageHeadings.get(href) || null;
         }
 
-        // Markér containeren som aktiv
-        const tocContainer = document.querySelector(".smart-toc-navigation");
-        if (tocContainer) {
-            tocContainer.dataset.tocCount = String(headings.length);
-            tocContainer.style.removeProperty("display");
-            tocContainer.removeAttribute("hidden");
-            tocContainer.classList.remove("is-hidden");
-        }
-
-        // Hjælpefunktion til slug
-        const slugCounts = {};
-        function generateSlug(text) {
-            const normalized = text
-                .toLowerCase()
-                .replace(/æ/g, "ae")
-                .replace(/ø/g, "oe")
-                .replace(/å/g, "aa")
-                .replace(/ä/g, "ae")
-                .replace(/ö/g, "oe")
-                .replace(/ü/g, "ue")
-                .replace(/[^\w\s-]/g, "")
-                .replace(/\s+/g, "-")
-                .trim();
-            const base = normalized;
-            slugCounts[base] = (slugCounts[base] || 0) + 1;
-            return slugCounts[base] > 1 ? `${base}-${slugCounts[base]}` : base;
+        // Stop hvis vi har færre headings end minimum – medmindre live-mode
+        // skal kunne bygge TOC'en senere, når der kommer flere headings til.
+        const min = Number(settings.minHeadings || 1);
+        if (!settings.liveUpdate && getOutline().length < min) {
+            root.dataset.tocCount = String(getOutline().length);
+            return null;
         }
 
-        // Scroll offset (sticky header højde + ekstra padding)
-        function getScrollOffset() {
+        // Markér containeren som aktiv
+        const tocContainer = root;
+        tocContainer.dataset.tocCount = String(getOutline().length);
+        tocContainer.style.removeProperty("display");
+        tocContainer.removeAttribute("hidden");
+        tocContainer.classList.remove("is-hidden");
+
+        // Mobil-baren (smart_section_toc_mobile_bar) – sættes i initMobileBar()
+        let mobileBar = null;
+
+        // Links pr. heading til læsefremskridt – bygges igen efter hver render
+        let linksByHeading = null;
+
+        // Filterfelter over listerne (smart_section_toc_filter), pr. liste
+        const filterBoxes = new Map();
+
+        /**
+         * Scroll offset: the part of the viewport covered by headers, the
+         * admin bar and the mobile bar, plus a gap.
+         *
+         * @param {number} [targetY] Predict the offset at this scroll
+         *     position (see getHeaderBottom()); omitted for the current state.
+         * @return {number}
+         */
+        function getScrollOffset(targetY) {
             // 1) CSS override (highest priority)
             const cssVar = getComputedStyle(document.documentElement)
                 .getPropertyValue("--smart-toc-scroll-offset")
@@ -85,55 +1200,433 @@
             const fromCss = parseInt(cssVar, 10);
             if (!Number.isNaN(fromCss)) return fromCss;
 
-            // 2) Auto-detect sticky header
-            const stickySelectors = [
-                ".site-header",
-                ".header-sticky",
-                'header[data-sticky="true"]',
-                ".sticky-header",
-                "#masthead.sticky",
-                "header.fixed",
-            ];
+            // Mobil-baren dækker også indholdet (0 når den er skjult med CSS).
+            // Den gemmer sig ved scroll ned, ligesom hide-on-scroll headere.
+            let barHeight = mobileBar ? mobileBar.offsetHeight : 0;
+            if (mobileBar) {
+                const hidden =
+                    typeof targetY === "number" && targetY !== window.scrollY
+                        ? targetY > window.scrollY && targetY > barHeight
+                        : mobileBar.classList.contains("is-hidden");
+                if (hidden) barHeight = 0;
+            }
 
-            for (const selector of stickySelectors) {
-                const header = document.querySelector(selector);
-                if (!header) continue;
+            // 1b) Offset sat på selve shortcoden
+            if (!Number.isNaN(instanceOffset)) return instanceOffset + barHeight;
 
-                const style = window.getComputedStyle(header);
-                if (style.position === "fixed" || style.position === "sticky") {
-                    return header.offsetHeight + 20;
-                }
+            // 2) Sticky/faste headere og admin-baren
+            const header = getHeaderBottom(targetY);
+            if (header.found) {
+                return header.bottom + (Number(headerOptions.gap) || 0) + barHeight;
             }
 
-            // 3) Fallback to setting
-            return parseInt(settings.scrollOffset, 10) || 80;
+            // 3) Fallback to setting (under admin-baren, hvis den er fast)
+            return (
+                (parseInt(settings.scrollOffset, 10) || 80) +
+                header.bottom +
+                barHeight
+            );
         }
 
-        // Byg TOC-links i ALLE ul.smart-toc-list
-        headings.forEach((heading) => {
-            if (!heading.id) {
-                heading.id = `heading-${generateSlug(heading.textContent)}`;
+        /**
+         * Returns the numeric level (1–6) of a heading element.
+         * Non-heading elements matched by a custom selector count as level 2.
+         *
+         * @param {Element} heading
+         * @return {number}
+         */
+        function getHeadingLevel(heading) {
+            const match = /^H([1-6])$/.exec(heading.tagName);
+            return match ? Number(match[1]) : 2;
+        }
+
+        /**
+         * Turns the flat, document-ordered heading list into a tree.
+         * A heading becomes a child of the nearest preceding heading with a
+         * lower level, so skipped levels (H2 → H4) still nest correctly.
+         *
+         * @param {NodeList|Element[]} headingList
+         * @return {Array<{heading: Element, level: number, children: Array}>}
+         */
+        function buildHeadingTree(headingList) {
+            const root = { level: 0, children: [] };
+            const stack = [root];
+            headingList.forEach((heading) => {
+                const node = {
+                    heading,
+                    level: getHeadingLevel(heading),
+                    children: [],
+                };
+                while (
+                    stack.length > 1 &&
+                    stack[stack.length - 1].level >= node.level
+                ) {
+                    stack.pop();
+                }
+                stack[stack.length - 1].children.push(node);
+                stack.push(node);
+            });
+            return root.children;
+        }
+
+        // Sektionsnumre (1, 1.1, 1.2 …) pr. heading, når numbering er slået til
+        const numbering = settings.numbering || {};
+        let sectionNumbers = new Map();
+        const numberedHeadings = new Set();
+
+        /**
+         * Hierarchical numbers for the heading tree. Headings above the
+         * start level are not numbered; their children continue the count.
+         * Mirrors Smart_Section_TOC_Outline::get_numbers().
+         *
+         * @param {Array} tree Nodes from buildHeadingTree().
+         * @return {Map<Element, string>}
+         */
+        function getSectionNumbers(tree) {
+            const numbers = new Map();
+            if (!numbering.style || numbering.style === "none") return numbers;
+
+            const startLevel = Number(numbering.startLevel) || 2;
+            const walk = (nodes, parts, counter) => {
+                nodes.forEach((node) => {
+                    if (node.level < startLevel) {
+                        walk(node.children, parts, counter);
+                        return;
+                    }
+                    counter.value += 1;
+                    const ownParts = parts.concat(counter.value);
+                    numbers.set(
+                        node.heading,
+                        formatSectionNumber(ownParts, numbering.style),
+                    );
+                    walk(node.children, ownParts, { value: 0 });
+                });
+            };
+            walk(tree, [], { value: 0 });
+            return numbers;
+        }
+
+        /**
+         * Writes the numbers onto the headings as data-toc-number, shown
+         * with CSS ::before so they are not copied with the heading text.
+         * Headings on other pages get theirs when that page is viewed.
+         */
+        function applyHeadingNumbers() {
+            if (!numbering.headings) return;
+            numberedHeadings.forEach((heading) => {
+                if (!sectionNumbers.has(heading)) {
+                    heading.removeAttribute("data-toc-number");
+                    numberedHeadings.delete(heading);
+                }
+            });
+            sectionNumbers.forEach((number, heading) => {
+                if (heading.url) return;
+                heading.dataset.tocNumber = number;
+                numberedHeadings.add(heading);
+            });
+        }
+
+        /**
+         * Sets the link text (with its section number) and aria-label.
+         * Links to another page of the post name that page in the label.
+         *
+         * @param {Element}        link
+         * @param {Element|Object} heading Heading or off-page stand-in.
+         * @return {string} The full label, including the number.
+         */
+        function setLinkLabel(link, heading) {
+            const text = getHeadingLabel(heading);
+            const number = sectionNumbers.get(heading) || "";
+            link.replaceChildren();
+            if (number) {
+                const span = document.createElement("span");
+                span.className = "smart-toc-number";
+                span.textContent = number;
+                link.append(span, " ");
             }
-            const li = document.createElement("li");
-            const a = document.createElement("a");
-            a.href = `#${heading.id}`;
-            a.textContent = heading.textContent;
-            a.className = "smart-toc-link";
-            a.setAttribute(
+            link.append(text);
+
+            const label = number ? `${number} ${text}` : text;
+            const page = heading.url ? ` (${getPageLabel(heading.page)})` : "";
+            link.setAttribute(
                 "aria-label",
-                `${settings.strings.goToSection} ${heading.textContent}`,
+                `${settings.strings.goToSection} ${label}${page}`,
+            );
+            return label;
+        }
+
+        /**
+         * "Page 2" for the page marker of off-page links.
+         *
+         * @param {number} page
+         * @return {string}
+         */
+        function getPageLabel(page) {
+            return settings.strings.pageNumber.replace("%d", String(page));
+        }
+
+        /**
+         * Renders tree nodes as <li> items into the given list. Nodes with
+         * children get a nested <ul class="smart-toc-sublist"> and, when
+         * branches are collapsible, a toggle button controlling it.
+         *
+         * @param {Array}   nodes Tree nodes from buildHeadingTree().
+         * @param {Element} list  The <ul> to append to.
+         * @param {number}  depth Nesting depth, 1 for the top level.
+         */
+        function renderTocItems(nodes, list, depth) {
+            nodes.forEach((node) => {
+                const li = document.createElement("li");
+                li.className = `smart-toc-item smart-toc-item--level-${node.level}`;
+                li.dataset.depth = String(depth);
+
+                const row = document.createElement("div");
+                row.className = "smart-toc-item__row";
+
+                const a = document.createElement("a");
+                a.href = node.heading.url || `#${node.heading.id}`;
+                a.className = `smart-toc-link smart-toc-link--level-${node.level}`;
+                const label = setLinkLabel(a, node.heading);
+                row.appendChild(a);
+                li.appendChild(row);
+
+                // Sektion på en anden side af postet: link til siden + mærke
+                if (node.heading.url) {
+                    a.classList.add("smart-toc-link--other-page");
+                    li.classList.add("is-other-page");
+                    li.dataset.page = String(node.heading.page);
+                    const marker = document.createElement("span");
+                    marker.className = "smart-toc-page";
+                    marker.setAttribute("aria-hidden", "true");
+                    marker.textContent = getPageLabel(node.heading.page);
+                    row.appendChild(marker);
+                }
+
+                if (node.children.length) {
+                    sublistCounter += 1;
+                    const sublist = document.createElement("ul");
+                    sublist.className = "smart-toc-sublist";
+                    sublist.id = `smart-toc-sublist-${sublistCounter}`;
+                    sublist.setAttribute("role", "list");
+                    li.classList.add("has-children");
+
+                    if (settings.collapsible) {
+                        const toggle = document.createElement("button");
+                        toggle.type = "button";
+                        toggle.className = "smart-toc-branch-toggle";
+                        toggle.setAttribute("aria-expanded", "false");
+                        toggle.setAttribute("aria-controls", sublist.id);
+                        toggle.setAttribute(
+                            "aria-label",
+                            `${settings.strings.subsections} ${label}`,
+                        );
+                        row.appendChild(toggle);
+                        sublist.hidden = true;
+                    } else {
+                        li.classList.add("is-expanded");
+                    }
+
+                    renderTocItems(node.children, sublist, depth + 1);
+                    li.appendChild(sublist);
+                }
+
+                list.appendChild(li);
+            });
+        }
+
+        /**
+         * Expands or collapses a branch item.
+         *
+         * @param {Element} li       The li.has-children element.
+         * @param {boolean} expanded
+         */
+        function setBranchExpanded(li, expanded) {
+            const sublist = li.querySelector(":scope > .smart-toc-sublist");
+            const toggle = li.querySelector(
+                ":scope > .smart-toc-item__row > .smart-toc-branch-toggle",
+            );
+            if (!sublist || !toggle) return;
+            sublist.hidden = !expanded;
+            li.classList.toggle("is-expanded", expanded);
+            toggle.setAttribute("aria-expanded", expanded ? "true" : "false");
+        }
+
+        // Sørg for at alle headings har et id (og husk hvilke vi selv satte)
+        const generatedIds = [];
+        function ensureHeadingIds(headingList) {
+            let takenIds = null;
+            headingList.forEach((heading) => {
+                if (!heading.id) {
+                    takenIds =
+                        takenIds ||
+                        new Set(
+                            queryAll(contentArea, settings.headingSelector)
+                                .map((el) => el.id)
+                                .filter(Boolean),
+                        );
+                    heading.id = createHeadingId(heading.textContent, takenIds);
+                    generatedIds.push(heading);
+                }
+            });
+        }
+        ensureHeadingIds(headings);
+
+        // Link-tekster som de så ud ved sidste render (bruges til diff)
+        const renderedLabels = new Map();
+
+        // Listen er allerede renderet af PHP (smart_section_toc_server_render)
+        let hydrate = root.dataset.smartTocRendered === "server";
+
+        /**
+         * Checks whether every server-rendered list links to exactly the
+         * headings found in the DOM (and on the other pages), in the same
+         * order.
+         *
+         * @return {boolean}
+         */
+        function serverListsMatchHeadings() {
+            const expected = getOutline().map(
+                (heading) => heading.url || `#${heading.id}`,
             );
-            li.appendChild(a);
+            return Array.from(tocLists).every((list) => {
+                const hrefs = Array.from(
+                    list.querySelectorAll(".smart-toc-link"),
+                ).map((link) => link.getAttribute("href"));
+                return (
+                    hrefs.length === expected.length &&
+                    hrefs.every((href, i) => href === expected[i])
+                );
+            });
+        }
+
+        /**
+         * (Re)renders the TOC tree into ALL ul.smart-toc-list (desktop + popup).
+         * Branches the reader opened or closed by hand keep their state.
+         * Below the minimum heading count the lists are left empty.
+         *
+         * On the first call, server-rendered lists are kept as they are when
+         * they match the headings on the page (hydration).
+         */
+        function renderLists() {
+            linksByHeading = null;
+            const outline = getOutline();
+            sectionNumbers = getSectionNumbers(buildHeadingTree(outline));
+            applyHeadingNumbers();
+
+            if (hydrate) {
+                hydrate = false;
+                if (outline.length >= min && serverListsMatchHeadings()) {
+                    headings.forEach((heading) =>
+                        renderedLabels.set(heading, getHeadingLabel(heading)),
+                    );
+                    tocContainer.dataset.tocCount = String(outline.length);
+                    applyFilters();
+                    return;
+                }
+            }
+
+            const userExpanded = {};
+            tocLists.forEach((list) => {
+                list.querySelectorAll(".smart-toc-item[data-user-expanded]").forEach(
+                    (li) => {
+                        const link = li.querySelector(".smart-toc-link");
+                        if (link) {
+                            userExpanded[link.getAttribute("href")] =
+                                li.dataset.userExpanded;
+                        }
+                    },
+                );
+            });
+
+            renderedLabels.clear();
+            headings.forEach((heading) =>
+                renderedLabels.set(heading, getHeadingLabel(heading)),
+            );
+
+            const headingTree =
+                outline.length >= min ? buildHeadingTree(outline) : [];
+            tocLists.forEach((list) => {
+                list.replaceChildren();
+                renderTocItems(headingTree, list, 1);
+                list.querySelectorAll(".smart-toc-item").forEach((li) => {
+                    const link = li.querySelector(".smart-toc-link");
+                    const state = link && userExpanded[link.getAttribute("href")];
+                    if (state) li.dataset.userExpanded = state;
+                });
+            });
+
+            tocContainer.dataset.tocCount = String(outline.length);
+            applyFilters();
+        }
+
+        renderLists();
+
+        // Permalink-ankre ved hver heading (smart_section_toc_heading_anchors)
+        const anchors = new Map();
+
+        /**
+         * Adds a copy-link anchor to every heading in the TOC and removes
+         * the ones whose heading left it. A heading that already has an
+         * anchor from another instance is left alone.
+         */
+        function syncAnchors() {
+            if (!settings.anchors) return;
+
+            anchors.forEach((anchor, heading) => {
+                if (!headings.includes(heading)) {
+                    anchor.remove();
+                    anchors.delete(heading);
+                }
+            });
+
+            headings.forEach((heading) => {
+                let anchor = anchors.get(heading);
+                if (!anchor) {
+                    if (heading.querySelector(".smart-toc-anchor")) return;
+                    anchor = document.createElement("a");
+                    anchor.className = "smart-toc-anchor";
+                    anchor.innerHTML = ANCHOR_ICON;
+                    heading.appendChild(anchor);
+                    anchors.set(heading, anchor);
+                }
+                anchor.href = `#${heading.id}`;
+                anchor.setAttribute(
+                    "aria-label",
+                    `${settings.strings.copyLink} ${getHeadingLabel(heading).trim()}`,
+                );
+            });
+        }
+        syncAnchors();
+
+        if (settings.anchors) {
+            listen(contentArea, "click", function (e) {
+                const anchor = e.target.closest(".smart-toc-anchor");
+                const heading = anchor && anchor.parentElement;
+                if (!heading || anchors.get(heading) !== anchor) return;
+                e.preventDefault();
 
-            tocLists.forEach((list) => list.appendChild(li.cloneNode(true)));
-        });
+                copyText(getSectionUrl(heading.id)).then((copied) => {
+                    if (copied) {
+                        showToast(settings.strings.linkCopied);
+                    } else {
+                        // Sidste udvej: læg linket i adresselinjen
+                        updateHistory(heading.id, "replace");
+                        showToast(settings.strings.linkInAddressBar);
+                    }
+                });
+            });
+            cleanups.push(() => {
+                anchors.forEach((anchor) => anchor.remove());
+                anchors.clear();
+            });
+        }
 
         // Inject scroll-hint button into the desktop TOC container only.
         // The popup container is excluded because it handles its own overflow.
-        const desktopNav = document.querySelector('nav#smart-article-toc-desktop');
-        const desktopContainer = desktopNav ? desktopNav.closest('.smart-toc-navigation') : null;
-        if (desktopContainer) {
-            initScrollHint(desktopContainer);
+        let scrollHint = null;
+        const desktopNav = root.querySelector(':scope > nav');
+        if (desktopNav) {
+            initScrollHint(root);
         }
 
         /**
@@ -161,6 +1654,7 @@
 
             // Append to body so overflow:auto on the container does not clip it.
             document.body.appendChild(hint);
+            scrollHint = hint;
 
             // Resolve the actual background colour for the gradient.
             // --toc-bg defaults to 'transparent', so we walk up the DOM to find
@@ -218,10 +1712,10 @@
             });
 
             // Keep visibility and position in sync on container scroll.
-            container.addEventListener('scroll', updateHintVisibility, { passive: true });
+            listen(container, 'scroll', updateHintVisibility, { passive: true });
 
             // Reposition on window scroll (container is sticky — its rect changes).
-            window.addEventListener('scroll', function () {
+            listen(window, 'scroll', function () {
                 if (hint.classList.contains('is-visible')) {
                     positionHint();
                 }
@@ -231,26 +1725,214 @@
             if (typeof ResizeObserver !== 'undefined') {
                 const ro = new ResizeObserver(updateHintVisibility);
                 ro.observe(container);
+                cleanups.push(() => ro.disconnect());
             }
 
+            cleanups.push(() => {
+                hint.remove();
+                scrollHint = null;
+                container.classList.remove('has-scroll-hint');
+                container.style.paddingBottom = '';
+            });
+
             // Initial check.
             updateHintVisibility();
         }
 
-        // NY HELPER: Aktivér alle matchende links (desktop + popup)
-        function setActiveLinksById(headingId) {
-            document.querySelectorAll(".smart-toc-link").forEach((link) => {
-                link.classList.remove("active");
+        let activeId = null;
+
+        // Analytics (smart_section_toc_analytics)
+        let readTimer = null;
+        let readSource = "scroll";
+
+        function track(name, payload) {
+            trackEvent(settings.analytics, name, payload);
+        }
+
+        /**
+         * @param {Element|Object} heading Heading or off-page stand-in.
+         * @return {{id: string, text: string, index: number, level: number}}
+         */
+        function describeSection(heading) {
+            return {
+                id: heading.id,
+                text: heading.textContent.trim(),
+                index: getOutline().indexOf(heading),
+                level: getHeadingLevel(heading),
+            };
+        }
+
+        /**
+         * Which part of the TOC an element belongs to.
+         *
+         * @param {Element} element Link or button inside the TOC.
+         * @return {string} "desktop", "popup", "inline" or "bar".
+         */
+        function getTrackingSource(element) {
+            if (mobileBar && element === mobileBar) return "bar";
+            if (element.closest(".smart-toc-inline")) return "inline";
+            if (
+                element.closest(".smart-toc-popup") ||
+                element.classList.contains("smart-toc-toggle")
+            ) {
+                return "popup";
+            }
+            return "desktop";
+        }
+
+        /**
+         * Restarts the read timer for the active section. A section counts
+         * as read once it has been active for readTime seconds while the
+         * page is visible.
+         */
+        function startReadTimer() {
+            clearTimeout(readTimer);
+            const heading = activeId && document.getElementById(activeId);
+            if (!heading || readSections.has(heading) || document.hidden) {
+                return;
+            }
+
+            const seconds = Math.max(
+                1,
+                Number(settings.analytics.readTime) || 10,
+            );
+            readTimer = setTimeout(() => {
+                if (readSections.has(heading)) return;
+                readSections.add(heading);
+                track(
+                    "section_read",
+                    Object.assign(describeSection(heading), {
+                        source: readSource,
+                        seconds,
+                    }),
+                );
+            }, seconds * 1000);
+        }
+
+        /**
+         * Reports the first time a section becomes active, and starts the
+         * read timer for it.
+         *
+         * @param {Element|null} heading
+         */
+        function trackSection(heading) {
+            if (!settings.analytics.enabled || !heading) return;
+            // Aktiveret af et klik/hash frem for almindelig scroll
+            readSource = ignoreScrollSpy ? "navigation" : "scroll";
+            if (!reachedSections.has(heading)) {
+                reachedSections.add(heading);
+                track(
+                    "section_reach",
+                    Object.assign(describeSection(heading), {
+                        source: readSource,
+                    }),
+                );
+            }
+            startReadTimer();
+        }
+
+        if (settings.analytics.enabled) {
+            listen(document, "visibilitychange", () => {
+                if (document.hidden) {
+                    clearTimeout(readTimer);
+                } else {
+                    startReadTimer();
+                }
+            });
+            cleanups.push(() => clearTimeout(readTimer));
+        }
+
+        /**
+         * Activates all links to the heading in this instance (desktop and
+         * popup). Scrollspy calls this on every frame, so nothing is touched
+         * while the active section stays the same, unless forced after a
+         * navigation or a re-render of the lists.
+         *
+         * @param {string}  headingId
+         * @param {boolean} [force] Re-apply even when the heading is already active.
+         */
+        function setActiveLinksById(headingId, force) {
+            if (headingId === activeId && !force) return;
+
+            root.querySelectorAll(".smart-toc-link").forEach((link) => {
+                link.classList.remove("active", "active-ancestor");
                 link.removeAttribute("aria-current");
             });
-            const toActivate = document.querySelectorAll(
-                `.smart-toc-link[href="#${headingId}"]`,
+            const toActivate = root.querySelectorAll(
+                `.smart-toc-link[href="#${CSS.escape(headingId)}"]`,
             );
             toActivate.forEach((link) => {
                 link.classList.add("active");
                 link.setAttribute("aria-current", "true");
+                updateBranches(link);
                 scrollTocToActiveLink(link);
             });
+
+            if (headingId !== activeId) {
+                const previousId = activeId;
+                activeId = headingId;
+
+                // Passiv scroll: opdatér URL'en uden at fylde historikken op
+                if (settings.historyOnScroll && !ignoreScrollSpy) {
+                    updateHistory(headingId, "replace");
+                }
+
+                updateMobileBarTitle();
+                trackSection(document.getElementById(headingId));
+                dispatchTocEvent(root, "activechange", {
+                    instance: controller,
+                    id: headingId,
+                    previousId,
+                    heading: document.getElementById(headingId),
+                });
+            }
+        }
+
+        /**
+         * Marks the parent links of the active link as "active-ancestor" and
+         * expands the branches leading to it. Branches the reader opened by
+         * hand stay open; branches opened automatically collapse again once
+         * the active section leaves them.
+         *
+         * @param {Element} activeLink
+         */
+        function updateBranches(activeLink) {
+            const list = activeLink.closest(".smart-toc-list");
+            if (!list) return;
+
+            const ancestors = [];
+            let item = activeLink.closest(".smart-toc-item");
+            while (item) {
+                item = item.parentElement.closest(".smart-toc-item");
+                if (item) ancestors.push(item);
+            }
+
+            ancestors.forEach((ancestor) => {
+                const parentLink = ancestor.querySelector(
+                    ":scope > .smart-toc-item__row > .smart-toc-link",
+                );
+                if (parentLink) parentLink.classList.add("active-ancestor");
+            });
+
+            // Filteret bestemmer hvilke grene der er åbne, mens det er i brug
+            if (
+                !settings.collapsible ||
+                list.classList.contains("is-filtered")
+            ) {
+                return;
+            }
+
+            const activeItem = activeLink.closest(".smart-toc-item");
+            list.querySelectorAll(".smart-toc-item.has-children").forEach(
+                (branch) => {
+                    setBranchExpanded(
+                        branch,
+                        ancestors.includes(branch) ||
+                            branch === activeItem ||
+                            branch.dataset.userExpanded === "true",
+                    );
+                },
+            );
         }
 
         // 'center' when triggered by a click, 'nearest' during passive scroll.
@@ -273,8 +1955,10 @@
 
             // When the scroll-hint overlay is visible it covers the bottom of the
             // container. Subtract its height so the active link is not hidden behind it.
-            const hintEl = document.querySelector('.smart-toc-scroll-hint.is-visible');
-            const hintHeight = hintEl ? hintEl.offsetHeight : 0;
+            const hintHeight =
+                scrollHint && scrollHint.classList.contains('is-visible')
+                    ? scrollHint.offsetHeight
+                    : 0;
             const visibleHeight = container.clientHeight - hintHeight;
 
             if (tocScrollBehavior === 'center') {
@@ -301,164 +1985,719 @@
             // If already visible, do nothing.
         }
 
-        // Smooth scroll
-        function smoothScrollTo(targetElement, clickedLink) {
-            const offset = getScrollOffset();
+        /**
+         * Scrolls to a heading below the header and moves focus to it.
+         *
+         * @param {Element} targetElement
+         * @param {Object}  [options] behavior, duration and easing, see
+         *     scrollWindowTo(). Duration and easing default to the settings.
+         *     focus: false only moves the page; the heading is not focused
+         *     and the scrollspy picks the active section as usual.
+         * @return {Promise<boolean>}
+         */
+        function smoothScrollTo(targetElement, options = {}) {
             const elementPosition =
                 targetElement.getBoundingClientRect().top + window.pageYOffset;
-            const offsetPosition = elementPosition - offset;
-            try {
-                window.scrollTo({ top: offsetPosition, behavior: "smooth" });
-            } catch (_) {
-                window.scrollTo(0, offsetPosition);
-            }
-            setActiveLinksById(targetElement.id);
+            // Forudsig headerens tilstand der, hvor vi lander (skjult efter
+            // scroll ned, mindre når den er krympet)
+            const estimate = elementPosition - getScrollOffset();
+            const offsetPosition = elementPosition - getScrollOffset(estimate);
+            const done = scrollWindowTo(offsetPosition, {
+                behavior: options.behavior || "smooth",
+                duration:
+                    options.duration !== undefined
+                        ? options.duration
+                        : settings.scrollDuration,
+                easing: options.easing || settings.scrollEasing,
+            });
+            if (options.focus === false) return done;
+            setActiveLinksById(targetElement.id, true);
             targetElement.setAttribute("tabindex", "-1");
             targetElement.focus({ preventScroll: true });
             setTimeout(() => targetElement.removeAttribute("tabindex"), 1000);
+            return done;
         }
 
-        // Klik på links
-        document.querySelectorAll(".smart-toc-link").forEach((link) => {
-            link.addEventListener("click", function (e) {
-                e.preventDefault();
-                const targetId = this.getAttribute("href").substring(1);
-                const targetElement = document.getElementById(targetId);
-                if (targetElement) {
-                    ignoreObserver = true;
-                    if (observerUnlockTimeout)
-                        clearTimeout(observerUnlockTimeout);
-                    observerUnlockTimeout = setTimeout(() => {
-                        ignoreObserver = false;
-                    }, 1000); // 1000ms = long enough for scroll to settle
-
-                    tocScrollBehavior = 'center';
-                    smoothScrollTo(targetElement, this);
-                    setActiveLinksById(targetId);
-                    tocScrollBehavior = 'nearest';
-                }
-
-                // Luk popup hvis linket blev klikket inde i popup'en
-                const popup = this.closest(".smart-toc-popup");
-                if (popup && popup.classList.contains("is-visible")) {
-                    const closePopup = popupCloseMap.get(popup);
-                    if (typeof closePopup === "function") {
-                        closePopup();
-                    } else {
-                        popup.classList.remove("is-visible");
-                        document.body.classList.remove("smart-toc-open");
-                        const toggleBtn =
-                            popup
-                                .closest(".smart-toc-navigation")
-                                ?.querySelector(".smart-toc-toggle") ||
-                            popup
-                                .closest(".smart-toc-inline")
-                                ?.querySelector(".smart-toc-inline-toggle");
-                        if (toggleBtn) {
-                            toggleBtn.setAttribute("aria-expanded", "false");
+        // Tæller navigationer, så kun den seneste låser scrollspy'en op
+        let navigation = 0;
+
+        /**
+         * Scrolls to a heading with the scrollspy locked until the scroll
+         * has finished or the reader takes over, so the target stays
+         * highlighted while the page passes the sections in between.
+         *
+         * @param {Element} targetElement
+         * @param {Object}  [options] See smoothScrollTo().
+         * @return {Promise<boolean>} False when the scroll was cancelled.
+         */
+        function navigateTo(targetElement, options = {}) {
+            ignoreScrollSpy = true;
+            navigation += 1;
+            const current = navigation;
+
+            const scroll = () => {
+                tocScrollBehavior = "center";
+                const done = smoothScrollTo(targetElement, options);
+                tocScrollBehavior = "nearest";
+                return done;
+            };
+
+            // Åbn details/accordions/faner først, og vent på layoutet, så
+            // positionen måles på en synlig heading
+            const done = revealHeading(targetElement)
+                ? waitForLayout(targetElement).then(() => {
+                      invalidatePositions();
+                      return current === navigation ? scroll() : false;
+                  })
+                : scroll();
+
+            return done.then((reached) => {
+                if (current === navigation) {
+                    ignoreScrollSpy = false;
+                    scheduleScrollSpy();
+                }
+                return reached;
+            });
+        }
+
+        /**
+         * Writes the section to the URL so the back button and "copy link"
+         * work. "push" adds a history entry, "replace" updates the current one.
+         *
+         * @param {string} id   Heading id.
+         * @param {string} mode "push", "replace" or "none".
+         */
+        function updateHistory(id, mode) {
+            if (mode !== "push" && mode !== "replace") return;
+            if (!window.history || !window.history.replaceState) return;
+
+            const hash = `#${encodeURIComponent(id)}`;
+            if (mode === "push" && window.location.hash !== hash) {
+                window.history.pushState({ smartTocId: id }, "", hash);
+            } else {
+                window.history.replaceState({ smartTocId: id }, "", hash);
+            }
+        }
+
+        // Klik på links og gren-knapper (delegeret pr. liste)
+        function handleLinkClick(e, link) {
+            // Sektioner på en anden side: lad browseren følge linket
+            const offPage = offPageHeadings.get(link.getAttribute("href"));
+            if (offPage) {
+                track(
+                    "click",
+                    Object.assign(describeSection(offPage), {
+                        source: getTrackingSource(link),
+                        page: offPage.page,
+                    }),
+                );
+                return;
+            }
+
+            e.preventDefault();
+
+            // Luk popup'en først, så scroll-lås og inert er væk, før vi
+            // scroller og flytter fokus til headingen
+            const popup = link.closest(".smart-toc-popup");
+            if (popup && popup.classList.contains("is-visible")) {
+                const closePopup = popupCloseMap.get(popup);
+                if (typeof closePopup === "function") {
+                    closePopup({ restoreFocus: false });
+                } else {
+                    popup.classList.remove("is-visible");
+                    document.body.classList.remove("smart-toc-open");
+                    const toggleBtn =
+                        popup
+                            .closest(".smart-toc-navigation")
+                            ?.querySelector(".smart-toc-toggle") ||
+                        popup
+                            .closest(".smart-toc-inline")
+                            ?.querySelector(".smart-toc-inline-toggle");
+                    if (toggleBtn) {
+                        toggleBtn.setAttribute("aria-expanded", "false");
+                    }
+                }
+            }
+
+            const targetId = link.getAttribute("href").substring(1);
+            const targetElement = document.getElementById(targetId);
+            if (targetElement) {
+                track(
+                    "click",
+                    Object.assign(describeSection(targetElement), {
+                        source: getTrackingSource(link),
+                    }),
+                );
+                navigateTo(targetElement);
+                updateHistory(targetId, settings.history);
+            }
+        }
+
+        tocLists.forEach((list) => {
+            listen(list, "click", function (e) {
+                const branchToggle = e.target.closest(".smart-toc-branch-toggle");
+                if (branchToggle && list.contains(branchToggle)) {
+                    e.preventDefault();
+                    const li = branchToggle.closest(".smart-toc-item");
+                    const expanded = !li.classList.contains("is-expanded");
+                    li.dataset.userExpanded = expanded ? "true" : "false";
+                    setBranchExpanded(li, expanded);
+                    return;
+                }
+
+                const link = e.target.closest(".smart-toc-link");
+                if (link && list.contains(link)) handleLinkClick(e, link);
+            });
+        });
+
+        // Scrollspy: én motor for alle sidestørrelser. Headingernes positioner
+        // caches og måles kun igen, når layoutet ændrer sig – scroll-events
+        // laver derfor ingen layout-læsninger, kun en binær søgning.
+        let ignoreScrollSpy = false;
+        let headingPositions = null;
+        let cachedOffset = 0;
+        let documentHeight = 0;
+        let contentTop = 0;
+        let contentHeight = 0;
+        let sectionEnds = [];
+        let scrollSpyFrame = null;
+        let anchorOffset = null;
+        let hiddenHeadings = [];
+        let hasHiddenHeadings = false;
+
+        /**
+         * Marks the cached heading positions as stale and re-checks the
+         * active section on the next frame.
+         */
+        function invalidatePositions() {
+            headingPositions = null;
+            scheduleScrollSpy();
+        }
+
+        function measurePositions() {
+            const scrollY = window.scrollY;
+            const hidden = headings.map(
+                (heading) => !heading.getClientRects().length,
+            );
+            hiddenHeadings = hidden;
+            headingPositions = headings.map(
+                (heading) => heading.getBoundingClientRect().top + scrollY,
+            );
+            cachedOffset = getScrollOffset();
+            documentHeight = document.documentElement.scrollHeight;
+            const contentRect = contentArea.getBoundingClientRect();
+            contentTop = contentRect.top + scrollY;
+            contentHeight = contentRect.height;
+
+            // Skjulte headings (lukket details, inaktiv fane) har ingen
+            // position; de får den næste synlige headings, så rækkefølgen
+            // holder, og de aldrig selv bliver aktive
+            let next = contentTop + contentHeight;
+            for (let i = headings.length - 1; i >= 0; i--) {
+                if (hidden[i]) {
+                    headingPositions[i] = next;
+                } else {
+                    next = headingPositions[i];
+                }
+            }
+            hasHiddenHeadings = hidden.includes(true);
+            if (settings.markCollapsed) {
+                headings.forEach((heading, i) => {
+                    root.querySelectorAll(
+                        `.smart-toc-link[href="#${CSS.escape(heading.id)}"]`,
+                    ).forEach((link) =>
+                        link.classList.toggle("is-collapsed", hidden[i]),
+                    );
+                });
+            }
+
+            // Så native hop til #anker (og scrollIntoView) også lander rigtigt:
+            // offset'et forudsagt ved artiklens første heading, sat én gang på
+            // indholdsområdet og brugt af CSS'ens scroll-margin-top
+            const firstVisible = hidden.indexOf(false);
+            const offset = getScrollOffset(
+                firstVisible >= 0 ? headingPositions[firstVisible] : contentTop,
+            );
+            if (offset !== anchorOffset) {
+                anchorOffset = offset;
+                contentArea.style.setProperty(
+                    "--smart-toc-anchor-offset",
+                    `${offset}px`,
+                );
+            }
+
+            // En sektion slutter ved næste heading på samme eller højere
+            // niveau, så en H2-sektion også dækker sine H3'ere
+            const levels = headings.map(getHeadingLevel);
+            sectionEnds = headingPositions.map((position, i) => {
+                for (let j = i + 1; j < headings.length; j++) {
+                    if (levels[j] <= levels[i]) return headingPositions[j];
+                }
+                return contentTop + contentHeight;
+            });
+        }
+
+        /**
+         * Distance from the top of the viewport at which a heading becomes
+         * active. Values up to 1 are a fraction of the viewport height,
+         * larger values are pixels. Never above the scroll offset, so a
+         * heading scrolled to from the TOC is always active.
+         *
+         * @return {number}
+         */
+        function getActivationLine() {
+            const setting = Number(settings.activationLine);
+            const line =
+                setting > 1 ? setting : (setting || 0) * window.innerHeight;
+            return Math.max(line, cachedOffset + 2);
+        }
+
+        /**
+         * Index of the last heading at or above the position, or -1.
+         *
+         * @param {number} position Document position in pixels.
+         * @return {number}
+         */
+        function findHeadingIndex(position) {
+            let low = 0;
+            let high = headingPositions.length - 1;
+            let found = -1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (headingPositions[mid] <= position) {
+                    found = mid;
+                    low = mid + 1;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return found;
+        }
+
+        function updateScrollSpy() {
+            scrollSpyFrame = null;
+            if (!headings.length) return;
+            if (!headingPositions) measurePositions();
+            updateMobileBarProgress();
+            updateReadingProgress();
+            if (ignoreScrollSpy) return;
+
+            const scrollY = window.scrollY;
+            const atBottom =
+                documentHeight > window.innerHeight &&
+                scrollY > 0 &&
+                scrollY + window.innerHeight >= documentHeight - 2;
+
+            // I bunden af siden kan de sidste korte sektioner aldrig nå
+            // aktiveringslinjen, så den sidste heading vinder – men kun når
+            // siden faktisk kan scrolle, og læseren har scrollet
+            let index = atBottom
+                ? headings.length - 1
+                : findHeadingIndex(scrollY + getActivationLine());
+            // Skjulte headings bliver aldrig aktive – heller ikke i bunden
+            while (index >= 0 && hiddenHeadings[index]) index -= 1;
+            if (index >= 0) setActiveLinksById(headings[index].id);
+        }
+
+        function scheduleScrollSpy() {
+            if (scrollSpyFrame === null) {
+                scrollSpyFrame = requestAnimationFrame(updateScrollSpy);
+            }
+        }
+
+        listen(window, "scroll", scheduleScrollSpy, { passive: true });
+        listen(window, "resize", invalidatePositions);
+        listen(window, "load", invalidatePositions);
+
+        // Billeder, embeds og lazy content flytter headings uden resize
+        if (typeof ResizeObserver !== "undefined") {
+            const resizeObserver = new ResizeObserver(invalidatePositions);
+            resizeObserver.observe(contentArea);
+            cleanups.push(() => resizeObserver.disconnect());
+        }
+        // Headere der krymper eller gemmer sig ændrer offset'et
+        cleanups.push(onHeaderChange(invalidatePositions));
+
+        // Details, accordions og faner viser og skjuler headings uden at
+        // indholdet nødvendigvis skifter højde
+        listen(contentArea, "toggle", invalidatePositions, true);
+        listen(contentArea, "click", () => {
+            if (hasHiddenHeadings) requestAnimationFrame(invalidatePositions);
+        });
+        cleanups.push(() => {
+            if (scrollSpyFrame !== null) cancelAnimationFrame(scrollSpyFrame);
+            if (anchorOffset !== null) {
+                contentArea.style.removeProperty("--smart-toc-anchor-offset");
+            }
+        });
+
+        scheduleScrollSpy();
+
+        // Keyboard navigation i ALLE lister
+        tocLists.forEach((list) => {
+            listen(list, "keydown", function (e) {
+                const focusedLink = document.activeElement;
+                if (
+                    !focusedLink ||
+                    !focusedLink.classList.contains("smart-toc-link")
+                )
+                    return;
+                // Spring links i sammenklappede grene over
+                const allLinks = Array.from(
+                    list.querySelectorAll(".smart-toc-link"),
+                ).filter(
+                    (link) =>
+                        !link.closest(
+                            ".smart-toc-sublist[hidden], .smart-toc-item[hidden]",
+                        ),
+                );
+                const currentIndex = allLinks.indexOf(focusedLink);
+                switch (e.key) {
+                    case "ArrowDown":
+                    case "ArrowRight":
+                        e.preventDefault();
+                        if (currentIndex < allLinks.length - 1)
+                            allLinks[currentIndex + 1].focus();
+                        break;
+                    case "ArrowUp":
+                    case "ArrowLeft":
+                        e.preventDefault();
+                        if (currentIndex > 0)
+                            allLinks[currentIndex - 1].focus();
+                        break;
+                    case "Home":
+                        e.preventDefault();
+                        allLinks[0].focus();
+                        break;
+                    case "End":
+                        e.preventDefault();
+                        allLinks[allLinks.length - 1].focus();
+                        break;
+                }
+            });
+        });
+
+        // Filterfelt over lange lister (smart_section_toc_filter)
+        let filterAnnounceTimeout = null;
+
+        /**
+         * Shows the label of a link with the matched part wrapped in
+         * <mark class="smart-toc-mark">.
+         *
+         * @param {Element} link
+         * @param {number}  start Start index in the label text.
+         * @param {number}  end   End index in the label text.
+         */
+        function highlightLink(link, start, end) {
+            const heading = getLinkHeading(link);
+            if (!heading) return;
+            setLinkLabel(link, heading);
+            const textNode = link.lastChild;
+            const text = textNode.textContent;
+            const mark = document.createElement("mark");
+            mark.className = "smart-toc-mark";
+            mark.textContent = text.slice(start, end);
+            textNode.replaceWith(text.slice(0, start), mark, text.slice(end));
+        }
+
+        /**
+         * Filters the items of a list, bottom-up: an item stays visible when
+         * its own label matches or one of its children does, and branches
+         * with matches are opened.
+         *
+         * @param {Element} list  ul.smart-toc-list or ul.smart-toc-sublist.
+         * @param {string}  query Folded query, "" to show everything.
+         * @return {number} Matches in the list, including nested ones.
+         */
+        function filterItems(list, query) {
+            let count = 0;
+            list.querySelectorAll(":scope > .smart-toc-item").forEach((li) => {
+                const link = li.querySelector(
+                    ":scope > .smart-toc-item__row > .smart-toc-link",
+                );
+                const sublist = li.querySelector(":scope > .smart-toc-sublist");
+                const heading = link && getLinkHeading(link);
+                const label = heading ? getHeadingLabel(heading) : "";
+
+                const { folded, map } = foldText(label);
+                const position = query ? folded.indexOf(query) : -1;
+                const childCount = sublist ? filterItems(sublist, query) : 0;
+
+                if (link && heading) {
+                    if (position >= 0) {
+                        highlightLink(
+                            link,
+                            map[position],
+                            map[position + query.length],
+                        );
+                    } else if (link.querySelector(".smart-toc-mark")) {
+                        setLinkLabel(link, heading);
+                    }
+                }
+
+                const matches = position >= 0;
+                li.hidden = !!query && !matches && !childCount;
+                // Forælder vist kun for at give kontekst til et match
+                li.classList.toggle(
+                    "is-filter-context",
+                    !!query && !matches && childCount > 0,
+                );
+                if (query && childCount) setBranchExpanded(li, true);
+                count += (matches ? 1 : 0) + childCount;
+            });
+            return count;
+        }
+
+        /**
+         * Applies the text in a filter box to its list and updates the
+         * match count. Clearing the filter restores the branches.
+         *
+         * @param {Element} list
+         */
+        function applyFilter(list) {
+            const box = filterBoxes.get(list);
+            if (!box) return;
+            box.hidden =
+                headings.length < (Number(settings.filterMinHeadings) || 0);
+
+            const input = box.querySelector(".smart-toc-filter__input");
+            const query = box.hidden ? "" : foldText(input.value.trim()).folded;
+            const wasFiltered = list.classList.contains("is-filtered");
+            list.classList.toggle("is-filtered", !!query);
+            const count = filterItems(list, query);
+
+            if (!query && wasFiltered && settings.collapsible) {
+                list.querySelectorAll(".smart-toc-item.has-children").forEach(
+                    (branch) =>
+                        setBranchExpanded(
+                            branch,
+                            branch.dataset.userExpanded === "true",
+                        ),
+                );
+                const activeLink = list.querySelector(".smart-toc-link.active");
+                if (activeLink) updateBranches(activeLink);
+            }
+
+            // Antallet læses op, når der er en pause i tastningen
+            const status = box.querySelector(".smart-toc-filter__status");
+            clearTimeout(filterAnnounceTimeout);
+            if (!query) {
+                status.textContent = "";
+                return;
+            }
+            filterAnnounceTimeout = setTimeout(() => {
+                const strings = settings.strings;
+                status.textContent = count
+                    ? (count === 1 ? strings.filterCountOne : strings.filterCount)
+                          .replace("%d", String(count))
+                    : strings.filterNone;
+            }, 400);
+        }
+
+        function applyFilters() {
+            filterBoxes.forEach((box, list) => applyFilter(list));
+        }
+
+        /**
+         * @param {Element} list
+         * @return {Element|null} First link whose own label matches.
+         */
+        function getFirstMatch(list) {
+            return (
+                Array.from(list.querySelectorAll(".smart-toc-link")).find(
+                    (link) =>
+                        !link.closest(".smart-toc-item[hidden]") &&
+                        !link.closest(".smart-toc-item").classList.contains(
+                            "is-filter-context",
+                        ),
+                ) || null
+            );
+        }
+
+        if (settings.filter) {
+            tocLists.forEach((list) => {
+                filterCounter += 1;
+                const id = `smart-toc-filter-${filterCounter}`;
+
+                const box = document.createElement("div");
+                box.className = "smart-toc-filter";
+                box.setAttribute("role", "search");
+
+                const input = document.createElement("input");
+                input.type = "search";
+                input.id = id;
+                input.className = "smart-toc-filter__input";
+                input.placeholder = settings.strings.filterLabel;
+                input.setAttribute("aria-label", settings.strings.filterLabel);
+                input.setAttribute("autocomplete", "off");
+                if (list.id) input.setAttribute("aria-controls", list.id);
+
+                const status = document.createElement("p");
+                status.className = "smart-toc-filter__status";
+                status.setAttribute("role", "status");
+                status.setAttribute("aria-live", "polite");
+
+                box.append(input, status);
+                list.before(box);
+                filterBoxes.set(list, box);
+
+                listen(input, "input", () => applyFilter(list));
+                listen(input, "keydown", (e) => {
+                    if (e.key === "Enter") {
+                        // Hop til første resultat (via listens klik-handler)
+                        e.preventDefault();
+                        const first = input.value.trim() && getFirstMatch(list);
+                        if (first) first.click();
+                    } else if (e.key === "ArrowDown") {
+                        const first = getFocusable(list)[0];
+                        if (first) {
+                            e.preventDefault();
+                            first.focus();
                         }
+                    } else if (e.key === "Escape" && input.value) {
+                        // Ryd filteret først; næste Escape lukker popup'en
+                        e.preventDefault();
+                        e.stopPropagation();
+                        input.value = "";
+                        applyFilter(list);
                     }
-                }
+                });
             });
-        });
 
-        // Scroll-aktiv link (IntersectionObserver hvis muligt)
-        let ignoreObserver = false;
-        let observerUnlockTimeout = null;
-        const useScrollFallback = headings.length > 100;
-        if (!useScrollFallback && "IntersectionObserver" in window) {
-            const observerOptions = {
-                rootMargin: "-20% 0px -70% 0px",
-                threshold: 0,
-            };
+            applyFilters();
+            cleanups.push(() => {
+                clearTimeout(filterAnnounceTimeout);
+                filterBoxes.forEach((box) => box.remove());
+                filterBoxes.clear();
+            });
+        }
 
-            let activeHeading = null;
-            let observerTimeout;
+        // Hvis URL har hash → aktivér link (kun hvis heading'en er vores)
+        if (window.location.hash) {
+            const hashId = decodeURIComponent(window.location.hash.substring(1));
+            if (hashId && headings.some((heading) => heading.id === hashId)) {
+                setActiveLinksById(hashId, true);
+            }
+        }
 
-            const observer = new IntersectionObserver((entries) => {
-                clearTimeout(observerTimeout);
-                observerTimeout = setTimeout(() => {
-                    entries.forEach((entry) => {
-                        if (entry.isIntersecting) {
-                            activeHeading = entry.target;
-                        }
-                    });
-                    if (!ignoreObserver && activeHeading) {
-                        setActiveLinksById(activeHeading.id);
-                    }
-                }, 10);
-            }, observerOptions);
+        /**
+         * Re-reads the headings inside the content area and applies the
+         * difference to the TOC: new and removed headings re-render the lists,
+         * renamed headings only update their link text. The active section,
+         * listeners and observers are kept.
+         *
+         * @return {{added: Element[], removed: Element[], renamed: Element[]}}
+         */
+        function updateHeadings() {
+            const nextHeadings = collectHeadings();
+            ensureHeadingIds(nextHeadings);
 
-            headings.forEach((h) => observer.observe(h));
-        } else {
-            function highlightActiveSection() {
-                const scrollPosition = window.scrollY + getScrollOffset() + 50;
-                let currentActiveHeading = null;
-                for (let i = headings.length - 1; i >= 0; i--) {
-                    if (headings[i].offsetTop <= scrollPosition) {
-                        currentActiveHeading = headings[i];
-                        break;
-                    }
-                }
-                if (currentActiveHeading) {
-                    setActiveLinksById(currentActiveHeading.id);
+            const added = nextHeadings.filter((h) => !headings.includes(h));
+            const removed = headings.filter((h) => !nextHeadings.includes(h));
+            const renamed = nextHeadings.filter(
+                (h) =>
+                    renderedLabels.has(h) &&
+                    renderedLabels.get(h) !== getHeadingLabel(h),
+            );
+            const reordered =
+                !added.length &&
+                !removed.length &&
+                nextHeadings.some((h, i) => h !== headings[i]);
+
+            headings = nextHeadings;
+            syncAnchors();
+
+            if (added.length || removed.length || reordered) {
+                renderLists();
+                if (activeId && headings.some((h) => h.id === activeId)) {
+                    setActiveLinksById(activeId, true);
                 }
+            } else if (renamed.length) {
+                renamed.forEach((heading) => {
+                    const text = getHeadingLabel(heading);
+                    renderedLabels.set(heading, text);
+                    tocLists.forEach((list) => {
+                        list.querySelectorAll(
+                            `.smart-toc-link[href="#${CSS.escape(heading.id)}"]`,
+                        ).forEach((link) => {
+                            const label = setLinkLabel(link, heading);
+                            const toggle = link.parentElement.querySelector(
+                                ".smart-toc-branch-toggle",
+                            );
+                            if (toggle) {
+                                toggle.setAttribute(
+                                    "aria-label",
+                                    `${settings.strings.subsections} ${label}`,
+                                );
+                            }
+                        });
+                    });
+                });
+                applyFilters();
             }
-            window.addEventListener(
-                "scroll",
-                () => requestAnimationFrame(highlightActiveSection),
-                { passive: true },
-            );
-            highlightActiveSection();
+
+            if (added.length || removed.length || reordered) {
+                invalidatePositions();
+            }
+
+            const changes = { added, removed, renamed };
+            if (added.length || removed.length || renamed.length || reordered) {
+                dispatchTocEvent(root, "update", {
+                    instance: controller,
+                    ...changes,
+                });
+            }
+            return changes;
         }
 
-        // Keyboard navigation i ALLE lister
-        tocLists.forEach((list) => {
-            list.addEventListener("keydown", function (e) {
-                const focusedLink = document.activeElement;
-                if (
-                    !focusedLink ||
-                    !focusedLink.classList.contains("smart-toc-link")
-                )
-                    return;
-                const allLinks = Array.from(
-                    list.querySelectorAll(".smart-toc-link"),
+        // Live-mode: hold øje med indholdet og opdatér TOC'en løbende
+        if (settings.liveUpdate && "MutationObserver" in window) {
+            let mutationTimeout = null;
+            const ownSelector = `${ROOT_SELECTOR}, .smart-toc-scroll-hint, .smart-toc-anchor, .smart-toc-current-bar, .smart-toc-toast`;
+            const isOwnNode = (node) =>
+                node.nodeType === Node.ELEMENT_NODE && node.matches(ownSelector);
+
+            const mutationObserver = new MutationObserver((mutations) => {
+                // Ignorér ændringer TOC'en selv laver (fx listerne, hvis
+                // shortcoden står inde i selve indholdet)
+                const relevant = mutations.some((mutation) => {
+                    const node =
+                        mutation.target.nodeType === Node.ELEMENT_NODE
+                            ? mutation.target
+                            : mutation.target.parentElement;
+                    if (!node || node.closest(ownSelector)) return false;
+                    // Ankre indsat/fjernet i en heading tæller heller ikke
+                    const changed = [
+                        ...mutation.addedNodes,
+                        ...mutation.removedNodes,
+                    ];
+                    return !changed.length || !changed.every(isOwnNode);
+                });
+                if (!relevant) return;
+
+                clearTimeout(mutationTimeout);
+                mutationTimeout = setTimeout(
+                    updateHeadings,
+                    Number(settings.liveUpdateDelay) || 0,
                 );
-                const currentIndex = allLinks.indexOf(focusedLink);
-                switch (e.key) {
-                    case "ArrowDown":
-                    case "ArrowRight":
-                        e.preventDefault();
-                        if (currentIndex < allLinks.length - 1)
-                            allLinks[currentIndex + 1].focus();
-                        break;
-                    case "ArrowUp":
-                    case "ArrowLeft":
-                        e.preventDefault();
-                        if (currentIndex > 0)
-                            allLinks[currentIndex - 1].focus();
-                        break;
-                    case "Home":
-                        e.preventDefault();
-                        allLinks[0].focus();
-                        break;
-                    case "End":
-                        e.preventDefault();
-                        allLinks[allLinks.length - 1].focus();
-                        break;
-                }
             });
-        });
 
-        // Hvis URL har hash → aktivér link
-        if (window.location.hash) {
-            const hashId = window.location.hash.substring(1);
-            if (hashId) setActiveLinksById(hashId);
+            mutationObserver.observe(contentArea, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: ["data-toc-label", "data-toc-exclude"],
+            });
+            cleanups.push(() => {
+                mutationObserver.disconnect();
+                clearTimeout(mutationTimeout);
+            });
         }
 
-        // Popup toggle (mobil + inline)
+        // Popup toggle (mobil + inline) – opfører sig som en modal dialog
         function initPopupToggles() {
-            const toggles = document.querySelectorAll(
+            const toggles = root.querySelectorAll(
                 ".smart-toc-toggle, .smart-toc-inline-toggle",
             );
 
@@ -479,51 +2718,765 @@
 
                 toggleBtn.setAttribute("aria-expanded", "false");
 
+                let restoreInert = null;
+                let touchStartY = null;
+                // Knappen der åbnede popup'en (toggle eller mobil-baren)
+                let opener = toggleBtn;
+
                 const handleOutsideClick = (e) => {
                     if (
                         !popup.contains(e.target) &&
-                        !toggleBtn.contains(e.target)
+                        !toggleBtn.contains(e.target) &&
+                        !opener.contains(e.target)
                     ) {
                         closePopup();
                     }
                 };
 
-                const handleEscKey = (e) => {
-                    if (e.key === "Escape") closePopup();
+                // Escape lukker, Tab holdes inde i dialogen (inkl. knappen der
+                // åbnede den, som også er "luk"-knappen)
+                const handleKeydown = (e) => {
+                    if (e.key === "Escape") {
+                        e.preventDefault();
+                        closePopup();
+                        return;
+                    }
+                    if (e.key !== "Tab") return;
+
+                    const focusable = [opener, ...getFocusable(popup)];
+                    const first = focusable[0];
+                    const last = focusable[focusable.length - 1];
+                    const current = document.activeElement;
+                    if (!popup.contains(current) && current !== opener) {
+                        e.preventDefault();
+                        first.focus();
+                    } else if (e.shiftKey && current === first) {
+                        e.preventDefault();
+                        last.focus();
+                    } else if (!e.shiftKey && current === last) {
+                        e.preventDefault();
+                        first.focus();
+                    }
+                };
+
+                // Swipe ned på touch lukker, når listen er scrollet helt op
+                const handleTouchStart = (e) => {
+                    touchStartY =
+                        popup.scrollTop <= 0 ? e.touches[0].clientY : null;
+                };
+                const handleTouchEnd = (e) => {
+                    if (touchStartY === null) return;
+                    const distance = e.changedTouches[0].clientY - touchStartY;
+                    touchStartY = null;
+                    if (distance > SWIPE_CLOSE_DISTANCE) closePopup();
                 };
 
-                const openPopup = () => {
+                /**
+                 * @param {Element} [openedBy] Button that opened the popup;
+                 *     gets focus back on close. Defaults to the toggle.
+                 */
+                const openPopup = (openedBy = toggleBtn) => {
+                    opener = openedBy;
                     popup.classList.add("is-visible");
                     toggleBtn.setAttribute("aria-expanded", "true");
+                    opener.setAttribute("aria-expanded", "true");
                     document.body.classList.add("smart-toc-open");
+                    lockScroll();
+                    restoreInert = inertOutside([popup, toggleBtn, opener]);
                     document.addEventListener("click", handleOutsideClick);
-                    document.addEventListener("keydown", handleEscKey);
+                    document.addEventListener("keydown", handleKeydown);
+                    popup.addEventListener("touchstart", handleTouchStart, {
+                        passive: true,
+                    });
+                    popup.addEventListener("touchend", handleTouchEnd);
+
+                    // Fokus på det aktive link, ellers det første
+                    const initialFocus =
+                        popup.querySelector(".smart-toc-link.active") ||
+                        getFocusable(popup)[0];
+                    if (initialFocus) {
+                        initialFocus.focus({ preventScroll: true });
+                    } else {
+                        popup.setAttribute("tabindex", "-1");
+                        popup.focus({ preventScroll: true });
+                    }
+
+                    track("popup_open", { source: getTrackingSource(opener) });
+                    dispatchTocEvent(root, "popupopen", {
+                        instance: controller,
+                        popup,
+                        toggle: toggleBtn,
+                    });
                 };
 
-                const closePopup = () => {
+                /**
+                 * @param {Object}  [options]
+                 * @param {boolean} [options.restoreFocus=true] Return focus to
+                 *     the toggle. Off when a link was chosen, since focus then
+                 *     moves to the heading.
+                 */
+                const closePopup = ({ restoreFocus = true } = {}) => {
+                    const wasVisible = popup.classList.contains("is-visible");
                     popup.classList.remove("is-visible");
                     toggleBtn.setAttribute("aria-expanded", "false");
+                    opener.setAttribute("aria-expanded", "false");
                     document.body.classList.remove("smart-toc-open");
                     document.removeEventListener("click", handleOutsideClick);
-                    document.removeEventListener("keydown", handleEscKey);
+                    document.removeEventListener("keydown", handleKeydown);
+                    popup.removeEventListener("touchstart", handleTouchStart);
+                    popup.removeEventListener("touchend", handleTouchEnd);
+                    if (!wasVisible) return;
+
+                    if (restoreInert) {
+                        restoreInert();
+                        restoreInert = null;
+                    }
+                    unlockScroll();
+                    if (restoreFocus) opener.focus({ preventScroll: true });
+
+                    track("popup_close", { source: getTrackingSource(opener) });
+                    dispatchTocEvent(root, "popupclose", {
+                        instance: controller,
+                        popup,
+                        toggle: toggleBtn,
+                    });
                 };
 
                 popupCloseMap.set(popup, closePopup);
+                popupOpenMap.set(popup, openPopup);
+                cleanups.push(() => closePopup({ restoreFocus: false }));
 
-                toggleBtn.addEventListener("click", function (e) {
+                listen(toggleBtn, "click", function (e) {
                     e.preventDefault();
                     popup.classList.contains("is-visible")
                         ? closePopup()
-                        : openPopup();
+                        : openPopup(toggleBtn);
                 });
             });
         }
 
         initPopupToggles();
+
+        /**
+         * Pins a slim bar under the site header on mobile that shows the
+         * current section and reading progress, and opens the popup list
+         * when tapped. Only one bar per page; the first TOC with a popup
+         * gets it.
+         *
+         * @return {Element|null}
+         */
+        function initMobileBar() {
+            if (
+                !settings.mobileBar ||
+                document.querySelector(".smart-toc-current-bar")
+            ) {
+                return null;
+            }
+            const popup = root.querySelector(".smart-toc-popup");
+            if (!popup || !popupOpenMap.has(popup)) return null;
+
+            const bar = document.createElement("button");
+            bar.type = "button";
+            bar.className = "smart-toc-current-bar";
+            bar.setAttribute("aria-haspopup", "dialog");
+            bar.setAttribute("aria-expanded", "false");
+            const nav = popup.querySelector("nav[id]");
+            if (nav) bar.setAttribute("aria-controls", nav.id);
+
+            const prefix = document.createElement("span");
+            prefix.className = "smart-toc-current-bar__prefix";
+            prefix.textContent = settings.strings.currentSection;
+
+            const title = document.createElement("span");
+            title.className = "smart-toc-current-bar__title";
+
+            const progress = document.createElement("span");
+            progress.className = "smart-toc-current-bar__progress";
+            progress.setAttribute("aria-hidden", "true");
+
+            bar.append(prefix, " ", title, progress);
+            document.body.appendChild(bar);
+
+            listen(bar, "click", function (e) {
+                e.preventDefault();
+                if (popup.classList.contains("is-visible")) {
+                    popupCloseMap.get(popup)();
+                    return;
+                }
+                // Vis listen som et ark lige under baren
+                popup.classList.add("smart-toc-popup--sheet");
+                popup.style.top = `${bar.getBoundingClientRect().bottom}px`;
+                popupOpenMap.get(popup)(bar);
+            });
+            listen(root, "smarttoc:popupclose", function (e) {
+                if (e.detail.popup !== popup) return;
+                popup.classList.remove("smart-toc-popup--sheet");
+                popup.style.removeProperty("top");
+            });
+
+            // Læg baren under sticky headere og admin-baren, også når de
+            // krymper eller gemmer sig
+            const positionBar = () => {
+                const { bottom } = getHeaderBottom();
+                bar.style.top = bottom > 0 ? `${bottom}px` : "";
+            };
+            positionBar();
+            listen(window, "resize", positionBar);
+            cleanups.push(onHeaderChange(positionBar));
+
+            // Skjul ved scroll ned, vis igen ved scroll op (som en læse-app)
+            let lastScrollY = window.scrollY;
+            listen(
+                window,
+                "scroll",
+                function () {
+                    const scrollY = window.scrollY;
+                    const delta = scrollY - lastScrollY;
+                    if (Math.abs(delta) < 8) return;
+                    if (!popup.classList.contains("is-visible")) {
+                        bar.classList.toggle(
+                            "is-hidden",
+                            delta > 0 && scrollY > bar.offsetHeight,
+                        );
+                    }
+                    lastScrollY = scrollY;
+                },
+                { passive: true },
+            );
+
+            cleanups.push(() => bar.remove());
+            return bar;
+        }
+
+        /**
+         * Shows the active section (or the TOC title before the first
+         * heading) in the mobile bar.
+         */
+        function updateMobileBarTitle() {
+            if (!mobileBar) return;
+            const heading = activeId && document.getElementById(activeId);
+            const titleEl = root.querySelector(".smart-toc-title");
+            const text = heading
+                ? getHeadingLabel(heading).trim()
+                : (titleEl && titleEl.textContent.trim()) || "";
+            const number = heading ? sectionNumbers.get(heading) : "";
+            mobileBar.querySelector(".smart-toc-current-bar__title").textContent =
+                number ? `${number} ${text}` : text;
+        }
+
+        /**
+         * Reading progress through the content area (0–1), from the cached
+         * layout of the scrollspy.
+         *
+         * @return {number}
+         */
+        function getReadingProgress() {
+            const scrollable = contentHeight - window.innerHeight;
+            if (scrollable <= 0) return 1;
+            const progress = (window.scrollY - contentTop) / scrollable;
+            return Math.min(1, Math.max(0, progress));
+        }
+
+        function updateMobileBarProgress() {
+            if (!mobileBar) return;
+            mobileBar.style.setProperty(
+                "--smart-toc-progress",
+                getReadingProgress().toFixed(3),
+            );
+        }
+
+        // Læsefremskridt i TOC'en (smart_section_toc_reading_progress)
+        let progressBar = null;
+        const sectionProgress = new Map();
+
+        if (settings.readingProgress) {
+            root.classList.add("has-reading-progress");
+            progressBar = document.createElement("div");
+            progressBar.className = "smart-toc-progress";
+            progressBar.setAttribute("role", "progressbar");
+            progressBar.setAttribute("aria-label", settings.strings.readingProgress);
+            progressBar.setAttribute("aria-valuemin", "0");
+            progressBar.setAttribute("aria-valuemax", "100");
+            const fill = document.createElement("span");
+            fill.className = "smart-toc-progress__fill";
+            progressBar.appendChild(fill);
+            const title = root.querySelector(":scope > .smart-toc-title");
+            if (title) {
+                title.after(progressBar);
+            } else {
+                root.prepend(progressBar);
+            }
+            cleanups.push(() => {
+                progressBar.remove();
+                root.classList.remove("has-reading-progress");
+                root.style.removeProperty("--article-progress");
+            });
+        }
+
+        /**
+         * Writes section progress to each link as --section-progress (0–1)
+         * with is-read on finished sections, and the article progress to
+         * the container as --article-progress. Only changed values touch
+         * the DOM.
+         */
+        function updateReadingProgress() {
+            if (!settings.readingProgress) return;
+
+            if (!linksByHeading) {
+                linksByHeading = new Map();
+                sectionProgress.clear();
+                root.querySelectorAll(".smart-toc-link").forEach((link) => {
+                    const heading = getLinkHeading(link);
+                    if (!heading || heading.url) return;
+                    if (!linksByHeading.has(heading)) {
+                        linksByHeading.set(heading, []);
+                    }
+                    linksByHeading.get(heading).push(link);
+                });
+            }
+
+            const scrollY = window.scrollY;
+            const atBottom = scrollY + window.innerHeight >= documentHeight - 2;
+            const line = scrollY + getActivationLine();
+
+            headings.forEach((heading, i) => {
+                const start = headingPositions[i];
+                const length = Math.max(1, sectionEnds[i] - start);
+                const value = atBottom
+                    ? 1
+                    : Math.min(1, Math.max(0, (line - start) / length));
+                const rounded = Math.round(value * 100) / 100;
+                if (sectionProgress.get(heading) === rounded) return;
+                sectionProgress.set(heading, rounded);
+
+                (linksByHeading.get(heading) || []).forEach((link) => {
+                    link.style.setProperty("--section-progress", String(rounded));
+                    link.classList.toggle("is-read", rounded >= 1);
+                });
+            });
+
+            const article = atBottom ? 1 : getReadingProgress();
+            const percent = Math.round(article * 100);
+            root.style.setProperty("--article-progress", article.toFixed(3));
+            if (
+                progressBar &&
+                progressBar.getAttribute("aria-valuenow") !== String(percent)
+            ) {
+                progressBar.setAttribute("aria-valuenow", String(percent));
+            }
+        }
+
+        mobileBar = initMobileBar();
+        if (mobileBar) updateMobileBarTitle();
+        if (mobileBar || settings.readingProgress) invalidatePositions();
+
+        /**
+         * Describes a heading for API consumers and event payloads.
+         *
+         * @param {Element} heading
+         * @return {{id: string, text: string, label: string, number: string, level: number, element: Element}}
+         */
+        function describeHeading(heading) {
+            return {
+                id: heading.id,
+                text: heading.textContent.trim(),
+                label: getHeadingLabel(heading).trim(),
+                number: sectionNumbers.get(heading) || "",
+                level: getHeadingLevel(heading),
+                element: heading,
+            };
+        }
+
+        Object.assign(controller, {
+            /**
+             * Scrolls to a heading in the TOC as if its link was clicked.
+             *
+             * @param {string} id                 Heading id (with or without leading "#").
+             * @param {Object} [options]
+             * @param {string} [options.behavior] "smooth" (default) or "auto".
+             * @param {number} [options.duration] Animation length in ms.
+             * @param {string|Function} [options.easing]
+             * @param {boolean} [options.focus] False to leave focus and the
+             *     active section alone.
+             * @return {Promise<boolean>} Resolves to true when the heading was
+             *     reached, false when the id is not part of the TOC or the
+             *     scroll was cancelled.
+             */
+            scrollTo(id, options = {}) {
+                const targetId = String(id || "").replace(/^#/, "");
+                const target = headings.find(
+                    (heading) => heading.id === targetId,
+                );
+                if (!target) return Promise.resolve(false);
+
+                return navigateTo(target, options);
+            },
+
+            /**
+             * @param {string} id Heading id.
+             * @return {boolean} Whether the heading belongs to this TOC.
+             */
+            hasHeading(id) {
+                return headings.some((heading) => heading.id === id);
+            },
+
+            getHeadings() {
+                return headings.map(describeHeading);
+            },
+
+            update: updateHeadings,
+
+            getActive() {
+                const heading = activeId && document.getElementById(activeId);
+                return heading ? describeHeading(heading) : null;
+            },
+
+            /**
+             * Removes everything the TOC added: links, listeners, observers,
+             * the scroll hint and the heading ids it generated itself.
+             */
+            destroy() {
+                cleanups.splice(0).forEach((cleanup) => cleanup());
+                // En scroll, der stadig er i gang, må ikke røre scrollspy'en
+                navigation += 1;
+                tocLists.forEach((list) => list.replaceChildren());
+                generatedIds.forEach((heading) => heading.removeAttribute("id"));
+                numberedHeadings.forEach((heading) =>
+                    heading.removeAttribute("data-toc-number"),
+                );
+                dispatchTocEvent(root, "destroy", { instance: controller });
+            },
+        });
+
+        dispatchTocEvent(root, "ready", {
+            instance: controller,
+            headings: controller.getHeadings(),
+        });
+
+        return controller;
+    }
+
+    let instances = [];
+
+    /**
+     * Sort callback for heading descriptions from getHeadings()/getActive().
+     *
+     * @param {Object} a
+     * @param {Object} b
+     * @return {number}
+     */
+    function byDocumentOrder(a, b) {
+        if (a.element === b.element) return 0;
+        return a.element.compareDocumentPosition(b.element) &
+            Node.DOCUMENT_POSITION_FOLLOWING
+            ? -1
+            : 1;
+    }
+
+    // Hvor længe vi retter op på et deep link, mens billeder og fonte loader
+    const DEEP_LINK_SETTLE_TIME = 5000;
+
+    /**
+     * @return {string} The decoded id from location.hash, or "".
+     */
+    function getHashId() {
+        const raw = window.location.hash.substring(1);
+        try {
+            return decodeURIComponent(raw);
+        } catch (error) {
+            return raw;
+        }
+    }
+
+    /**
+     * Scrolls to the heading in location.hash with the TOC's scroll offset,
+     * instead of the browser's native jump that ignores sticky headers.
+     *
+     * @param {Object} [options] Passed on to the instance's scrollTo().
+     * @return {Promise<boolean>|null} The scroll, or null when no instance
+     *     has the heading.
+     */
+    function scrollToHash(options = {}) {
+        const id = getHashId();
+        if (!id) return null;
+        const instance = instances.find((item) => item.hasHeading(id));
+        return instance
+            ? instance.scrollTo(id, Object.assign({ behavior: "auto" }, options))
+            : null;
+    }
+
+    /**
+     * Corrects the initial deep link and keeps it in place while late
+     * images and fonts shift the layout, until the reader scrolls or the
+     * settle time runs out. The corrections only move the page; focus and
+     * the active section are set once, by the first jump.
+     */
+    function applyInitialHash() {
+        const initial = scrollToHash();
+        if (!initial) return;
+
+        const inputEvents = ["wheel", "touchstart", "keydown", "mousedown"];
+        let resizeObserver = null;
+        let settleTimeout = null;
+
+        // Hvor siden og headingen stod efter vores seneste rettelse (null
+        // indtil det første hop er landet)
+        let expectedY = null;
+        let expectedTop = null;
+        const getHeadingTop = () => {
+            const heading = document.getElementById(getHashId());
+            return heading ? heading.getBoundingClientRect().top : null;
+        };
+        const remember = () => {
+            expectedY = window.scrollY;
+            expectedTop = getHeadingTop();
+        };
+        initial.then(remember);
+
+        const reapply = () => {
+            const done = scrollToHash({ focus: false });
+            if (done) done.then(remember);
+        };
+        // Scroll, der flytter headingen væk fra sin plads, kommer fra
+        // læseren (scrollbar, autoscroll …). Browserens scroll anchoring
+        // holder headingen på plads og tæller ikke.
+        const onScroll = () => {
+            if (expectedY === null || Math.abs(window.scrollY - expectedY) < 2) {
+                return;
+            }
+            const top = getHeadingTop();
+            if (
+                top !== null &&
+                expectedTop !== null &&
+                Math.abs(top - expectedTop) < 2
+            ) {
+                expectedY = window.scrollY;
+                return;
+            }
+            stop();
+        };
+        const stop = () => {
+            inputEvents.forEach((type) =>
+                window.removeEventListener(type, stop, { passive: true }),
+            );
+            window.removeEventListener("scroll", onScroll);
+            window.removeEventListener("load", onLoad);
+            if (resizeObserver) resizeObserver.disconnect();
+            clearTimeout(settleTimeout);
+        };
+        const onLoad = () => {
+            reapply();
+            clearTimeout(settleTimeout);
+            settleTimeout = setTimeout(stop, DEEP_LINK_SETTLE_TIME);
+        };
+
+        inputEvents.forEach((type) =>
+            window.addEventListener(type, stop, { passive: true }),
+        );
+        window.addEventListener("scroll", onScroll, { passive: true });
+        if (document.readyState === "complete") {
+            settleTimeout = setTimeout(stop, DEEP_LINK_SETTLE_TIME);
+        } else {
+            window.addEventListener("load", onLoad);
+        }
+        if (typeof ResizeObserver !== "undefined") {
+            resizeObserver = new ResizeObserver(reapply);
+            resizeObserver.observe(document.body);
+        }
+    }
+
+    /**
+     * Offset-aware scrolling for back/forward and hash changes. Both events
+     * can fire for the same navigation, so they share one frame.
+     */
+    function initDeepLinking() {
+        let pending = false;
+        const onNavigate = () => {
+            if (pending) return;
+            pending = true;
+            requestAnimationFrame(() => {
+                pending = false;
+                scrollToHash();
+            });
+        };
+        window.addEventListener("popstate", onNavigate);
+        window.addEventListener("hashchange", onNavigate);
+    }
+
+    /**
+     * Builds a TOC instance for every root in the document that does not
+     * have one yet.
+     */
+    function initAll() {
+        document.querySelectorAll(ROOT_SELECTOR).forEach((root) => {
+            if (instances.some((instance) => instance.root === root)) return;
+            const instance = initSmartSectionTOC(root);
+            if (instance) instances.push(instance);
+        });
     }
 
+    /**
+     * Public API, e.g. for themes that swap content with AJAX:
+     *
+     *     document.addEventListener("smarttoc:activechange", (e) => {
+     *         console.log(e.detail.id, e.detail.instance.root);
+     *     });
+     *     window.SmartSectionTOC.refresh();
+     *
+     * The top-level methods act on every instance on the page; use
+     * getInstance() to target a single one.
+     */
+    window.SmartSectionTOC = {
+        refresh() {
+            this.destroy();
+            // Headeren kan være skiftet ud sammen med indholdet
+            initHeaderTracking();
+            initAll();
+            return instances.length > 0;
+        },
+
+        destroy() {
+            instances.forEach((instance) => instance.destroy());
+            instances = [];
+        },
+
+        update() {
+            instances.forEach((instance) => instance.update());
+            initAll();
+            return instances.length > 0;
+        },
+
+        /**
+         * @param {string} id
+         * @param {Object} [options] behavior, duration and easing.
+         * @return {Promise<boolean>}
+         */
+        scrollTo(id, options) {
+            const targetId = String(id || "").replace(/^#/, "");
+            const instance = instances.find((item) =>
+                item.hasHeading(targetId),
+            );
+            return instance
+                ? instance.scrollTo(targetId, options)
+                : Promise.resolve(false);
+        },
+
+        /**
+         * Headings of all instances in document order. A heading listed by
+         * several TOCs is only returned once.
+         *
+         * @return {Object[]}
+         */
+        getHeadings() {
+            const seen = new Set();
+            return instances
+                .flatMap((instance) => instance.getHeadings())
+                .filter((item) => {
+                    if (seen.has(item.element)) return false;
+                    seen.add(item.element);
+                    return true;
+                })
+                .sort(byDocumentOrder);
+        },
+
+        /**
+         * The section the reader is in. When the instances cover different
+         * content, each has its own active heading; the one furthest down
+         * the page is the one the reader has reached.
+         *
+         * @return {Object|null}
+         */
+        getActive() {
+            const active = instances
+                .map((instance) => instance.getActive())
+                .filter(Boolean)
+                .sort(byDocumentOrder);
+            return active.length ? active[active.length - 1] : null;
+        },
+
+        /**
+         * @return {Object[]} All live TOC instances.
+         */
+        getInstances() {
+            return instances.slice();
+        },
+
+        /**
+         * Adds a function that opens custom containers hiding a heading
+         * (accordions, tabs, "read more" boxes) before the TOC scrolls to
+         * it. It is called for every ancestor of the heading, outermost
+         * first, and returns true when it opened something.
+         *
+         *     SmartSectionTOC.addRevealer((element) => {
+         *         if (!element.matches(".faq-item:not(.is-open)")) return false;
+         *         element.classList.add("is-open");
+         *         return true;
+         *     });
+         *
+         * @param {Function} revealer Receives (element, heading).
+         */
+        addRevealer(revealer) {
+            if (typeof revealer === "function" && !revealers.includes(revealer)) {
+                revealers.push(revealer);
+            }
+        },
+
+        /**
+         * Replaces the slug function used for generated heading ids.
+         * The callback receives the default slug and the heading text, in
+         * the same order as the smart_section_toc_slug filter, and returns
+         * the slug to use (the prefix and duplicate counter are added
+         * afterwards). TOCs that are already built are rebuilt.
+         *
+         *     SmartSectionTOC.setSlugger((slug, text) => slug.slice(0, 30));
+         *
+         * @param {Function|null} slugger
+         */
+        setSlugger(slugger) {
+            customSlugger = typeof slugger === "function" ? slugger : null;
+            if (instances.length) this.refresh();
+        },
+
+        /**
+         * Sends TOC usage events to a callback as well as, or instead of,
+         * window.dataLayer. Only has an effect when analytics is enabled
+         * with the smart_section_toc_analytics filter.
+         *
+         *     SmartSectionTOC.setAnalyticsCallback((name, payload) => {
+         *         plausible(`TOC ${name}`, { props: payload });
+         *     });
+         *
+         * @param {Function|null} callback Receives (name, payload).
+         */
+        setAnalyticsCallback(callback) {
+            analyticsCallback = typeof callback === "function" ? callback : null;
+        },
+
+        /**
+         * Finds the instance for a root element, an element inside it, or
+         * the root's id.
+         *
+         * @param {Element|string} target
+         * @return {Object|null}
+         */
+        getInstance(target) {
+            const element =
+                typeof target === "string"
+                    ? document.getElementById(target)
+                    : target;
+            if (!element) return null;
+            return (
+                instances.find((instance) => instance.root.contains(element)) ||
+                null
+            );
+        },
+    };
+
     function init() {
-        initSmartSectionTOC();
+        initHeaderTracking();
+        initAll();
+        initDeepLinking();
+        applyInitialHash();
         document
             .querySelectorAll(".smart-toc-toggle, .smart-toc-inline-toggle")
             .forEach((button) => button.setAttribute("aria-expanded", "false"));
@@ -0,0 +1,74 @@
+/**
+ * Smart Section TOC - Heading block controls
+ *
+ * Adds a "Hide from table of contents" toggle to the core Heading block.
+ * The choice is stored as the smartTocExclude block attribute; PHP adds
+ * data-toc-exclude to the heading when the block is rendered, so the saved
+ * block markup is unchanged and the post stays valid without the plugin.
+ *
+ * @package SmartSectionTOC
+ */
+
+(function (wp) {
+    "use strict";
+
+    const { addFilter } = wp.hooks;
+    const { createHigherOrderComponent } = wp.compose;
+    const { InspectorControls } = wp.blockEditor;
+    const { PanelBody, ToggleControl } = wp.components;
+    const { createElement: el, Fragment } = wp.element;
+    const { __ } = wp.i18n;
+
+    addFilter(
+        "blocks.registerBlockType",
+        "smart-section-toc/heading-exclude-attribute",
+        (settings, name) => {
+            if (name !== "core/heading") return settings;
+            return Object.assign({}, settings, {
+                attributes: Object.assign({}, settings.attributes, {
+                    smartTocExclude: { type: "boolean", default: false },
+                }),
+            });
+        },
+    );
+
+    const withExcludeToggle = createHigherOrderComponent(
+        (BlockEdit) => (props) => {
+            if (props.name !== "core/heading") return el(BlockEdit, props);
+
+            return el(
+                Fragment,
+                null,
+                el(BlockEdit, props),
+                el(
+                    InspectorControls,
+                    null,
+                    el(
+                        PanelBody,
+                        {
+                            title: __("Table of contents", "smart-section-toc"),
+                            initialOpen: false,
+                        },
+                        el(ToggleControl, {
+                            __nextHasNoMarginBottom: true,
+                            label: __(
+                                "Hide from table of contents",
+                                "smart-section-toc",
+                            ),
+                            checked: !!props.attributes.smartTocExclude,
+                            onChange: (value) =>
+                                props.setAttributes({ smartTocExclude: value }),
+                        }),
+                    ),
+                ),
+            );
+        },
+        "withExcludeToggle",
+    );
+
+    addFilter(
+        "editor.BlockEdit",
+        "smart-section-toc/heading-exclude-toggle",
+        withExcludeToggle,
+    );
+})(window.wp);
@@ -0,0 +1,490 @@
+/**
+ * Smart Section TOC - Block editor
+ *
+ * Registers the Table of Contents block. The block is rendered on the server
+ * by the same code as the shortcodes, so the front end gets the markup that
+ * smart-section-toc.js hydrates. In the editor it shows a live preview built
+ * from the heading blocks in the post.
+ *
+ * @package SmartSectionTOC
+ */
+
+(function (wp) {
+    "use strict";
+
+    const { registerBlockType } = wp.blocks;
+    const { InspectorControls, useBlockProps } = wp.blockEditor;
+    const {
+        CheckboxControl,
+        PanelBody,
+        RangeControl,
+        SelectControl,
+        TextControl,
+    } = wp.components;
+    const { useSelect } = wp.data;
+    const { createElement: el, Fragment, useState } = wp.element;
+    const { __, _n, sprintf } = wp.i18n;
+
+    // Site settings fra PHP (filtrene), så preview matcher front end
+    const siteSettings = Object.assign(
+        {
+            headingSelector: "h2",
+            minHeadings: 1,
+            defaultTitle: "Content on the site",
+        },
+        window.smartSectionTOCEditor || {},
+    );
+
+    const LEVELS = [2, 3, 4, 5, 6];
+
+    // Samme titel-tag som front end (title_tag er h3 i shortcodes og blok)
+    const TITLE_TAG = "h3";
+
+    // Heading-selectors som blokkens niveauvalg kan gengive præcist ("h2, h3")
+    const LEVELS_ONLY = /^\s*h[2-6](\s*,\s*h[2-6])*\s*$/i;
+
+    /**
+     * Heading levels used by the site-wide heading selector, e.g. "h2, h3".
+     *
+     * @param {string} selector
+     * @return {number[]}
+     */
+    function parseLevels(selector) {
+        const levels = [];
+        String(selector || "").replace(/\bh([1-6])\b/gi, (match, level) => {
+            levels.push(Number(level));
+            return match;
+        });
+        return levels.length ? levels : [2];
+    }
+
+    /**
+     * @param {string} html Rich text value of a heading block.
+     * @return {string} Plain text.
+     */
+    function stripTags(html) {
+        const doc = new window.DOMParser().parseFromString(
+            String(html || ""),
+            "text/html",
+        );
+        return doc.body.textContent.trim();
+    }
+
+    /**
+     * Blocks hidden with the "Hide from table of contents" toggle or the
+     * no-toc class.
+     *
+     * @param {Object} block
+     * @return {boolean}
+     */
+    function isExcluded(block) {
+        const classes = String(block.attributes.className || "").split(/\s+/);
+        return !!block.attributes.smartTocExclude || classes.includes("no-toc");
+    }
+
+    /**
+     * Collects core/heading blocks in document order, including headings
+     * nested in groups and columns, but not hidden ones.
+     *
+     * @param {Object[]} blocks Block list from the editor store.
+     * @param {number[]} levels Heading levels to include.
+     * @param {Object[]} result
+     * @return {{key: string, text: string, level: number}[]}
+     */
+    function collectHeadings(blocks, levels, result = []) {
+        blocks.forEach((block) => {
+            // Skjulte headings og alt inde i en .no-toc-gruppe
+            if (isExcluded(block)) return;
+            if (
+                block.name === "core/heading" &&
+                levels.includes(block.attributes.level || 2)
+            ) {
+                const text = stripTags(block.attributes.content);
+                if (text) {
+                    result.push({
+                        key: block.clientId,
+                        text,
+                        level: block.attributes.level || 2,
+                    });
+                }
+            }
+            if (block.innerBlocks && block.innerBlocks.length) {
+                collectHeadings(block.innerBlocks, levels, result);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Nests headings under the nearest preceding heading of a higher level,
+     * like buildHeadingTree() in smart-section-toc.js.
+     *
+     * @param {Object[]} headings
+     * @return {Object[]} Nodes with a children array.
+     */
+    function buildTree(headings) {
+        const tree = [];
+        const stack = [];
+        headings.forEach((heading) => {
+            const node = Object.assign({ children: [] }, heading);
+            while (stack.length && stack[stack.length - 1].level >= node.level) {
+                stack.pop();
+            }
+            (stack.length ? stack[stack.length - 1].children : tree).push(node);
+            stack.push(node);
+        });
+        return tree;
+    }
+
+    /**
+     * Renders tree nodes with the front end's list classes.
+     *
+     * @param {Object[]} nodes
+     * @param {number}   depth
+     * @return {Object[]} Elements.
+     */
+    function renderItems(nodes, depth = 0) {
+        return nodes.map((node) =>
+            el(
+                "li",
+                {
+                    key: node.key,
+                    className: `smart-toc-item smart-toc-item--level-${node.level}`,
+                    "data-depth": depth,
+                },
+                el(
+                    "div",
+                    { className: "smart-toc-item__row" },
+                    el(
+                        "a",
+                        {
+                            href: "#",
+                            className: `smart-toc-link smart-toc-link--level-${node.level}`,
+                            onClick: (e) => e.preventDefault(),
+                        },
+                        node.text,
+                    ),
+                ),
+                node.children.length
+                    ? el(
+                          "ul",
+                          { className: "smart-toc-sublist", role: "list" },
+                          renderItems(node.children, depth + 1),
+                      )
+                    : null,
+            ),
+        );
+    }
+
+    /**
+     * The TOC as the reader will see it, in the chosen mode.
+     *
+     * @param {Object}   props
+     * @param {string}   props.mode
+     * @param {string}   props.title
+     * @param {Object[]} props.list  The <ul> with items, or a notice.
+     * @return {Object} Element.
+     */
+    function Preview({ mode, title, list }) {
+        const [open, setOpen] = useState(false);
+
+        if (mode === "inline") {
+            return el(
+                "div",
+                { className: "smart-toc-inline" },
+                el(
+                    "button",
+                    {
+                        type: "button",
+                        className: "smart-toc-inline-toggle",
+                        "aria-expanded": open ? "true" : "false",
+                        onClick: () => setOpen(!open),
+                    },
+                    el(
+                        "span",
+                        { className: "smart-toc-inline-toggle__label" },
+                        title,
+                    ),
+                    el("span", {
+                        className: "smart-toc-inline-toggle__icon",
+                        "aria-hidden": "true",
+                    }),
+                ),
+                open
+                    ? el(
+                          "div",
+                          {
+                              className:
+                                  "smart-toc-popup smart-toc-popup--inline is-visible",
+                          },
+                          el(TITLE_TAG, { className: "smart-toc-title" }, title),
+                          el("nav", null, list),
+                      )
+                    : null,
+            );
+        }
+
+        if (mode === "popup") {
+            return el(
+                "div",
+                {
+                    className:
+                        "smart-toc-navigation smart-toc-navigation--popup",
+                },
+                el(
+                    "button",
+                    {
+                        type: "button",
+                        className: "smart-toc-toggle",
+                        "aria-label": __(
+                            "Open table of contents",
+                            "smart-section-toc",
+                        ),
+                        "aria-expanded": open ? "true" : "false",
+                        onClick: () => setOpen(!open),
+                    },
+                    [0, 1, 2].map((dot) =>
+                        el("span", {
+                            key: dot,
+                            className: "smart-toc-toggle__dot",
+                            "aria-hidden": "true",
+                        }),
+                    ),
+                ),
+                open
+                    ? el(
+                          "div",
+                          { className: "smart-toc-popup is-visible" },
+                          el(TITLE_TAG, { className: "smart-toc-title" }, title),
+                          el("nav", null, list),
+                      )
+                    : null,
+            );
+        }
+
+        return el(
+            "div",
+            { className: "smart-toc-navigation" },
+            el(TITLE_TAG, { className: "smart-toc-title" }, title),
+            el("nav", null, list),
+        );
+    }
+
+    /**
+     * Maps shortcode attributes to block attributes. Shortcodes the block
+     * cannot reproduce are left alone: content, offset, exclude or
+     * container_class, a title_tag other than h3, or a heading selector
+     * that is more than a list of levels (e.g. "h2.faq").
+     *
+     * @param {string} tag
+     * @param {string} mode
+     * @return {Object} Shortcode transform.
+     */
+    function shortcodeTransform(tag, mode) {
+        return {
+            type: "shortcode",
+            tag,
+            isMatch: ({ named }) =>
+                !named.content &&
+                !named.offset &&
+                !named.exclude &&
+                !named.container_class &&
+                (!named.title_tag ||
+                    named.title_tag.trim().toLowerCase() === "h3") &&
+                (!named.headings || LEVELS_ONLY.test(named.headings)),
+            attributes: {
+                title: {
+                    type: "string",
+                    shortcode: ({ named }) => named.title || "",
+                },
+                headingLevels: {
+                    type: "array",
+                    shortcode: ({ named }) =>
+                        named.headings ? parseLevels(named.headings) : [],
+                },
+                minHeadings: {
+                    type: "integer",
+                    shortcode: ({ named }) => parseInt(named.min, 10) || 0,
+                },
+                mode: {
+                    type: "string",
+                    shortcode: ({ named }) =>
+                        mode === "desktop" && named.mode === "popup"
+                            ? "popup"
+                            : mode,
+                },
+            },
+        };
+    }
+
+    function Edit({ attributes, setAttributes }) {
+        const { title, headingLevels, minHeadings, mode } = attributes;
+        const blockProps = useBlockProps({
+            className: "smart-toc-block-preview",
+        });
+
+        const levels = headingLevels.length
+            ? headingLevels
+            : parseLevels(siteSettings.headingSelector);
+        const min = minHeadings || Number(siteSettings.minHeadings) || 1;
+
+        const blocks = useSelect(
+            (select) => select("core/block-editor").getBlocks(),
+            [],
+        );
+        const headings = collectHeadings(blocks, levels);
+
+        let list;
+        if (!headings.length) {
+            list = el(
+                "p",
+                { className: "smart-toc-block-preview__notice" },
+                __(
+                    "Add headings to the post to see the table of contents.",
+                    "smart-section-toc",
+                ),
+            );
+        } else {
+            list = el(
+                Fragment,
+                null,
+                headings.length < min
+                    ? el(
+                          "p",
+                          { className: "smart-toc-block-preview__notice" },
+                          sprintf(
+                              /* translators: %d: minimum number of headings */
+                              _n(
+                                  "Hidden on the site until the post has %d heading.",
+                                  "Hidden on the site until the post has %d headings.",
+                                  min,
+                                  "smart-section-toc",
+                              ),
+                              min,
+                          ),
+                      )
+                    : null,
+                el(
+                    "ul",
+                    { className: "smart-toc-list", role: "list" },
+                    renderItems(buildTree(headings)),
+                ),
+            );
+        }
+
+        return el(
+            Fragment,
+            null,
+            el(
+                InspectorControls,
+                null,
+                el(
+                    PanelBody,
+                    { title: __("Settings", "smart-section-toc") },
+                    el(TextControl, {
+                        __nextHasNoMarginBottom: true,
+                        __next40pxDefaultSize: true,
+                        label: __("Title", "smart-section-toc"),
+                        value: title,
+                        placeholder: siteSettings.defaultTitle,
+                        onChange: (value) => setAttributes({ title: value }),
+                    }),
+                    el(SelectControl, {
+                        __nextHasNoMarginBottom: true,
+                        __next40pxDefaultSize: true,
+                        label: __("Display", "smart-section-toc"),
+                        value: mode,
+                        options: [
+                            {
+                                value: "desktop",
+                                label: __(
+                                    "Desktop navigation",
+                                    "smart-section-toc",
+                                ),
+                            },
+                            {
+                                value: "popup",
+                                label: __("Popup", "smart-section-toc"),
+                            },
+                            {
+                                value: "inline",
+                                label: __(
+                                    "Inline mobile button",
+                                    "smart-section-toc",
+                                ),
+                            },
+                        ],
+                        onChange: (value) => setAttributes({ mode: value }),
+                    }),
+                    el(RangeControl, {
+                        __nextHasNoMarginBottom: true,
+                        __next40pxDefaultSize: true,
+                        label: __("Minimum headings", "smart-section-toc"),
+                        help: __(
+                            "0 uses the site setting.",
+                            "smart-section-toc",
+                        ),
+                        value: minHeadings,
+                        min: 0,
+                        max: 20,
+                        onChange: (value) =>
+                            setAttributes({ minHeadings: value || 0 }),
+                    }),
+                ),
+                el(
+                    PanelBody,
+                    { title: __("Heading levels", "smart-section-toc") },
+                    LEVELS.map((level) =>
+                        el(CheckboxControl, {
+                            __nextHasNoMarginBottom: true,
+                            key: level,
+                            label: sprintf(
+                                /* translators: %d: heading level */
+                                __("Heading %d", "smart-section-toc"),
+                                level,
+                            ),
+                            checked: levels.includes(level),
+                            onChange: (checked) => {
+                                const next = checked
+                                    ? levels.concat(level)
+                                    : levels.filter((item) => item !== level);
+                                setAttributes({
+                                    headingLevels: next.sort((a, b) => a - b),
+                                });
+                            },
+                        }),
+                    ),
+                    el(
+                        "p",
+                        { className: "components-base-control__help" },
+                        __(
+                            "Unchecking all levels restores the site setting.",
+                            "smart-section-toc",
+                        ),
+                    ),
+                ),
+            ),
+            el(
+                "div",
+                blockProps,
+                el(Preview, {
+                    mode,
+                    title: title || siteSettings.defaultTitle,
+                    list,
+                }),
+            ),
+        );
+    }
+
+    registerBlockType("smart-section-toc/toc", {
+        edit: Edit,
+        // Dynamisk blok: markup kommer fra PHP
+        save: () => null,
+        transforms: {
+            from: [
+                shortcodeTransform("smart_section_toc", "desktop"),
+                shortcodeTransform("smart_section_toc_mobile_button", "inline"),
+            ],
+        },
+    });
+})(window.wp);
@@ -0,0 +1,76 @@
+<?php
+
+/**
+ * WP-CLI commands
+ *
+ * @package SmartSectionTOC
+ */
+
+// Prevent direct access to this file for security reasons
+if (! defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Work with table of contents outlines from the command line.
+ *
+ * Registered as "wp smart-toc" when WP-CLI is running. The outline is the
+ * same as the one returned by the REST route.
+ */
+class Smart_Section_TOC_CLI
+{
+
+    /**
+     * Print the outline of a post.
+     *
+     * Headings are found with the same selectors, exclusions and slug rules
+     * as on the front end, so the IDs match the ones the page uses.
+     *
+     * ## OPTIONS
+     *
+     * <id>
+     * : Post ID.
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: json
+     * options:
+     *   - json
+     *   - markdown
+     *   - html
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     # Headings, levels, IDs and labels as JSON
+     *     $ wp smart-toc outline 42
+     *
+     *     # A printable outline
+     *     $ wp smart-toc outline 42 --format=markdown > outline.md
+     *
+     * @param array $args       Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     * @return void
+     */
+    public function outline(array $args, array $assoc_args): void
+    {
+        $post = get_post((int) $args[0]);
+        if (! $post instanceof WP_Post) {
+            WP_CLI::error(sprintf('Post %s not found.', $args[0]));
+        }
+
+        $outline = Smart_Section_TOC::get_instance()->get_post_outline($post);
+
+        switch ($assoc_args['format'] ?? 'json') {
+            case 'markdown':
+                WP_CLI::line(rtrim(Smart_Section_TOC_Outline::render_markdown($outline['headings'])));
+                break;
+            case 'html':
+                WP_CLI::line(Smart_Section_TOC_Outline::render_html($outline['headings']));
+                break;
+            default:
+                WP_CLI::line((string) wp_json_encode($outline, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+        }
+    }
+}
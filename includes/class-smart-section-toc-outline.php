@@ -0,0 +1,751 @@
+<?php
+
+/**
+ * Server-side heading outline
+ *
+ * @package SmartSectionTOC
+ */
+
+// Prevent direct access to this file for security reasons
+if (! defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Parses headings out of post HTML, gives them stable IDs and renders the
+ * TOC link list on the server.
+ *
+ * The slug rules mirror generateSlug() / createHeadingId() in
+ * assets/js/smart-section-toc.js, so an ID written here is the same ID the
+ * browser would have generated. Keep the two in sync.
+ *
+ * @since 1.1.0
+ */
+class Smart_Section_TOC_Outline
+{
+
+    /**
+     * Headings (or containers) that are always left out of the TOC
+     *
+     * Matches EXCLUDE_SELECTOR in the JavaScript.
+     *
+     * @var string
+     */
+    public const EXCLUDE_SELECTOR = '[data-toc-exclude], .no-toc';
+
+    /**
+     * TOC containers, whose own headings (the title) are never listed
+     *
+     * Matches ROOT_SELECTOR in the JavaScript.
+     *
+     * @var string
+     */
+    public const ROOT_SELECTOR = '[data-smart-toc], .smart-toc-navigation, .smart-toc-inline';
+
+    /**
+     * CSS selector for the headings to include
+     *
+     * @var string
+     */
+    private string $heading_selector;
+
+    /**
+     * CSS selectors for headings (or their ancestors) to leave out
+     *
+     * The built-in selectors, the site-wide selectors and the selector
+     * passed to the constructor.
+     *
+     * @var string[]
+     */
+    private array $exclude_selectors;
+
+    /**
+     * Create an outline parser
+     *
+     * @param string $heading_selector Heading selector, e.g. 'h2, h3'.
+     * @param string $exclude_selector Optional selector for excluded headings or containers.
+     */
+    public function __construct(string $heading_selector = 'h2', string $exclude_selector = '')
+    {
+        $this->heading_selector = $heading_selector;
+        $this->exclude_selectors = array_filter(array_merge(
+            array(self::ROOT_SELECTOR, self::EXCLUDE_SELECTOR),
+            self::get_exclude_selectors(),
+            array(trim($exclude_selector))
+        ));
+    }
+
+    /**
+     * Slug options shared with the JavaScript
+     *
+     * Passed to the script as smartSectionTOC.slug, so both sides build
+     * identical IDs.
+     *
+     * Full transliteration is opt-in: by default only the original six
+     * letters are replaced and other letters are dropped, so IDs of
+     * existing content do not change.
+     *
+     * @return array{prefix: string, unicode: bool, transliterate: bool, maxLength: int, transliteration: array<string, string>}
+     */
+    public static function get_slug_options(): array
+    {
+        $transliterate = (bool) apply_filters('smart_section_toc_slug_transliterate', false);
+
+        return array(
+            'prefix' => (string) apply_filters('smart_section_toc_slug_prefix', 'heading-'),
+            'unicode' => (bool) apply_filters('smart_section_toc_slug_unicode', false),
+            'transliterate' => $transliterate,
+            'maxLength' => (int) apply_filters('smart_section_toc_slug_max_length', 0),
+            'transliteration' => self::get_transliteration_table($transliterate),
+        );
+    }
+
+    /**
+     * Section numbering options shared with the JavaScript
+     *
+     * Passed to the script as smartSectionTOC.numbering.
+     *
+     * @return array{style: string, startLevel: int, headings: bool}
+     */
+    public static function get_numbering_options(): array
+    {
+        $style = (string) apply_filters('smart_section_toc_numbering', 'none');
+
+        return array(
+            'style' => in_array($style, array('none', 'decimal', 'alpha', 'roman'), true) ? $style : 'none',
+            'startLevel' => max(1, min(6, (int) apply_filters('smart_section_toc_numbering_start_level', 2))),
+            'headings' => (bool) apply_filters('smart_section_toc_numbering_headings', false),
+        );
+    }
+
+    /**
+     * Hierarchical section numbers for a list of headings
+     *
+     * Mirrors getSectionNumbers() in the JavaScript: numbers follow the
+     * heading tree (1, 1.1, 1.2, 2 …), headings above the start level are
+     * not numbered, and the style applies to the first part only
+     * (roman: IV, IV.1; alpha: B, B.1).
+     *
+     * @param array $headings Headings from parse().
+     * @param array $options  Options from get_numbering_options().
+     * @return string[] Numbers in the same order as $headings, '' for unnumbered headings.
+     */
+    public static function get_numbers(array $headings, array $options): array
+    {
+        if ('none' === $options['style']) {
+            return array_fill(0, count($headings), '');
+        }
+
+        $numbers = array();
+        $counter = 0;
+        self::collect_numbers(self::build_tree($headings), array(), $counter, $options, $numbers);
+        return $numbers;
+    }
+
+    /**
+     * Number tree nodes in document order
+     *
+     * @param array    $nodes   Tree nodes.
+     * @param int[]    $parts   Number parts of the parent.
+     * @param int      $counter Running count at this depth, shared with unnumbered parents.
+     * @param array    $options Numbering options.
+     * @param string[] $numbers Collected numbers.
+     * @return void
+     */
+    private static function collect_numbers(array $nodes, array $parts, int &$counter, array $options, array &$numbers): void
+    {
+        foreach ($nodes as $node) {
+            if ($node['level'] < $options['startLevel']) {
+                $numbers[] = '';
+                self::collect_numbers($node['children'], $parts, $counter, $options, $numbers);
+                continue;
+            }
+
+            $counter++;
+            $own_parts = array_merge($parts, array($counter));
+            $numbers[] = self::format_number($own_parts, $options['style']);
+
+            $child_counter = 0;
+            self::collect_numbers($node['children'], $own_parts, $child_counter, $options, $numbers);
+        }
+    }
+
+    /**
+     * Format number parts, e.g. [4, 1] as "IV.1" for the roman style
+     *
+     * @param int[]  $parts Number parts.
+     * @param string $style decimal, alpha or roman.
+     * @return string
+     */
+    private static function format_number(array $parts, string $style): string
+    {
+        $first = array_shift($parts);
+
+        if ('alpha' === $style) {
+            $label = '';
+            for ($n = $first; $n > 0; $n = intdiv($n - 1, 26)) {
+                $label = chr(65 + ($n - 1) % 26) . $label;
+            }
+            $first = $label;
+        } elseif ('roman' === $style) {
+            $map = array('M' => 1000, 'CM' => 900, 'D' => 500, 'CD' => 400, 'C' => 100, 'XC' => 90, 'L' => 50, 'XL' => 40, 'X' => 10, 'IX' => 9, 'V' => 5, 'IV' => 4, 'I' => 1);
+            $label = '';
+            $n = $first;
+            foreach ($map as $numeral => $value) {
+                while ($n >= $value) {
+                    $label .= $numeral;
+                    $n -= $value;
+                }
+            }
+            $first = $label;
+        }
+
+        return implode('.', array_merge(array((string) $first), $parts));
+    }
+
+    /**
+     * Site-wide selectors for containers whose headings are left out
+     *
+     * Passed to the script as smartSectionTOC.excludeSelectors. Each selector
+     * is matched on its own, so one invalid selector does not disable the rest.
+     *
+     * @return string[]
+     */
+    public static function get_exclude_selectors(): array
+    {
+        $selectors = (array) apply_filters('smart_section_toc_exclude_selectors', array('.widget'));
+
+        return array_values(array_filter(array_map('trim', array_map('strval', $selectors))));
+    }
+
+    /**
+     * Lowercase characters and their ASCII replacements
+     *
+     * Letters that only carry an accent (é, č, ą …) are also stripped by the
+     * NFD step in slugify(); they are listed here so the result is the same
+     * when the intl extension is missing.
+     *
+     * @param bool $full All letters below, or only the original rules (æ, ø, å, ä, ö, ü).
+     * @return array<string, string>
+     */
+    public static function get_transliteration_table(bool $full = false): array
+    {
+        // Danish, Norwegian, German (the original rules)
+        $table = array('æ' => 'ae', 'ø' => 'oe', 'å' => 'aa', 'ä' => 'ae', 'ö' => 'oe', 'ü' => 'ue');
+
+        if ($full) {
+            $table += array(
+                'ß' => 'ss',
+
+                // Other Latin letters without a decomposition
+                'þ' => 'th', 'ð' => 'd', 'œ' => 'oe', 'ł' => 'l', 'đ' => 'd', 'ı' => 'i',
+                'ħ' => 'h', 'ŧ' => 't', 'ŋ' => 'ng', 'ŀ' => 'l', 'ĳ' => 'ij',
+
+                // Polish, Czech, Slovak, Hungarian, Romanian, Turkish, Baltic
+                'ą' => 'a', 'ć' => 'c', 'ę' => 'e', 'ń' => 'n', 'ó' => 'o', 'ś' => 's', 'ź' => 'z', 'ż' => 'z',
+                'á' => 'a', 'č' => 'c', 'ď' => 'd', 'é' => 'e', 'ě' => 'e', 'í' => 'i', 'ň' => 'n', 'ř' => 'r',
+                'š' => 's', 'ť' => 't', 'ú' => 'u', 'ů' => 'u', 'ý' => 'y', 'ž' => 'z', 'ĺ' => 'l', 'ľ' => 'l',
+                'ŕ' => 'r', 'ô' => 'o', 'ő' => 'o', 'ű' => 'u', 'ă' => 'a', 'â' => 'a', 'î' => 'i', 'ș' => 's',
+                'ş' => 's', 'ț' => 't', 'ţ' => 't', 'ç' => 'c', 'ğ' => 'g', 'ā' => 'a', 'ē' => 'e', 'ī' => 'i',
+                'ū' => 'u', 'ģ' => 'g', 'ķ' => 'k', 'ļ' => 'l', 'ņ' => 'n', 'ė' => 'e', 'į' => 'i', 'ų' => 'u',
+
+                // French, Spanish, Portuguese, Italian
+                'à' => 'a', 'è' => 'e', 'ê' => 'e', 'ë' => 'e', 'ì' => 'i', 'ï' => 'i', 'ò' => 'o', 'ù' => 'u',
+                'û' => 'u', 'ÿ' => 'y', 'ñ' => 'n', 'ã' => 'a', 'õ' => 'o',
+
+                // Greek
+                'α' => 'a', 'β' => 'v', 'γ' => 'g', 'δ' => 'd', 'ε' => 'e', 'ζ' => 'z', 'η' => 'i', 'θ' => 'th',
+                'ι' => 'i', 'κ' => 'k', 'λ' => 'l', 'μ' => 'm', 'ν' => 'n', 'ξ' => 'x', 'ο' => 'o', 'π' => 'p',
+                'ρ' => 'r', 'σ' => 's', 'ς' => 's', 'τ' => 't', 'υ' => 'y', 'φ' => 'f', 'χ' => 'ch', 'ψ' => 'ps',
+                'ω' => 'o', 'ά' => 'a', 'έ' => 'e', 'ή' => 'i', 'ί' => 'i', 'ό' => 'o', 'ύ' => 'y', 'ώ' => 'o',
+                'ϊ' => 'i', 'ϋ' => 'y', 'ΐ' => 'i', 'ΰ' => 'y',
+
+                // Cyrillic (Russian, Ukrainian, Belarusian, Bulgarian, Serbian, Macedonian)
+                'а' => 'a', 'б' => 'b', 'в' => 'v', 'г' => 'g', 'д' => 'd', 'е' => 'e', 'ё' => 'yo', 'ж' => 'zh',
+                'з' => 'z', 'и' => 'i', 'й' => 'y', 'к' => 'k', 'л' => 'l', 'м' => 'm', 'н' => 'n', 'о' => 'o',
+                'п' => 'p', 'р' => 'r', 'с' => 's', 'т' => 't', 'у' => 'u', 'ф' => 'f', 'х' => 'kh', 'ц' => 'ts',
+                'ч' => 'ch', 'ш' => 'sh', 'щ' => 'shch', 'ъ' => '', 'ы' => 'y', 'ь' => '', 'э' => 'e', 'ю' => 'yu',
+                'я' => 'ya', 'є' => 'ye', 'і' => 'i', 'ї' => 'yi', 'ґ' => 'g', 'ў' => 'u', 'ђ' => 'dj', 'ј' => 'j',
+                'љ' => 'lj', 'њ' => 'nj', 'ћ' => 'c', 'џ' => 'dz', 'ѓ' => 'gj', 'ќ' => 'kj', 'ѕ' => 'dz',
+            );
+        }
+
+        /**
+         * Filter the transliteration table used for heading slugs
+         *
+         * Keys must be lowercase. The table is shared with the JavaScript.
+         *
+         * @param array<string, string> $table Character => replacement.
+         */
+        return (array) apply_filters('smart_section_toc_transliteration', $table);
+    }
+
+    /**
+     * Turn heading text into a slug
+     *
+     * Same rules as generateSlug() in the JavaScript:
+     *
+     * 1. lowercase
+     * 2. ASCII mode: transliterate (with full transliteration also strip
+     *    the remaining accents), then drop everything but a–z, 0–9, _ and
+     *    dashes. Unicode mode: keep letters, numbers and marks from any script.
+     * 3. whitespace runs become a dash
+     * 4. cut to maxLength (if set) without leaving a trailing dash
+     * 5. slugs with nothing but dashes left become "section"
+     *
+     * @param string     $text    Heading text.
+     * @param array|null $options Options from get_slug_options(); read when omitted.
+     * @return string
+     */
+    public static function slugify(string $text, ?array $options = null): string
+    {
+        $options = $options ?? self::get_slug_options();
+        $slug = mb_strtolower($text, 'UTF-8');
+
+        if ($options['unicode']) {
+            if (class_exists('Normalizer')) {
+                $slug = (string) Normalizer::normalize($slug, Normalizer::FORM_C);
+            }
+            $slug = preg_replace('/(*UCP)[^\p{L}\p{N}\p{M}_\s-]/u', '', $slug);
+        } else {
+            $slug = strtr($slug, $options['transliteration']);
+            // With the original rules, letters outside the table are dropped below
+            if (! empty($options['transliterate'])) {
+                if (class_exists('Normalizer')) {
+                    $slug = (string) Normalizer::normalize($slug, Normalizer::FORM_D);
+                    $slug = preg_replace('/\p{Mn}/u', '', $slug);
+                } else {
+                    $slug = remove_accents($slug);
+                }
+            }
+            $slug = preg_replace('/(*UCP)[^a-z0-9_\s-]/u', '', (string) $slug);
+        }
+
+        $slug = preg_replace('/(*UCP)\s+/u', '-', (string) $slug);
+        $slug = trim((string) $slug);
+
+        $max_length = (int) $options['maxLength'];
+        if ($max_length > 0 && mb_strlen($slug, 'UTF-8') > $max_length) {
+            $slug = rtrim(mb_substr($slug, 0, $max_length, 'UTF-8'), '-');
+        }
+
+        if ('' === str_replace(array('-', '_'), '', $slug)) {
+            $slug = 'section';
+        }
+
+        /**
+         * Filter the slug generated for a heading
+         *
+         * The JavaScript counterpart is SmartSectionTOC.setSlugger(), whose
+         * callback gets the same arguments. The prefix and duplicate counter
+         * are added after this filter. An empty or non-string result keeps
+         * the generated slug, as in the JavaScript.
+         *
+         * @param string $slug Generated slug.
+         * @param string $text Heading text.
+         */
+        $custom = apply_filters('smart_section_toc_slug', $slug, $text);
+
+        return is_string($custom) && '' !== trim($custom) ? trim($custom) : $slug;
+    }
+
+    /**
+     * Parse headings and write missing IDs into the HTML
+     *
+     * Headings that already have an id keep it. New IDs are unique among the
+     * headings the selector matches (heading-intro, heading-intro-2, …), the
+     * same scope createHeadingId() uses in the browser.
+     * When numbers on headings are enabled, data-toc-number is written too,
+     * continuing from $preceding on later pages of a paginated post.
+     *
+     * @param string $html      Post content HTML.
+     * @param array  $preceding Headings on the pages before this one.
+     * @return array{html: string, headings: array<int, array{id: string, text: string, label: string, level: int}>}
+     *     'text' is the heading text, 'label' the text shown in the TOC (data-toc-label or the text).
+     */
+    public function parse(string $html, array $preceding = array()): array
+    {
+        $result = array(
+            'html' => $html,
+            'headings' => array(),
+        );
+
+        if ('' === trim($html) || ! class_exists('\Dom\HTMLDocument')) {
+            return $result;
+        }
+
+        $document = \Dom\HTMLDocument::createFromString(
+            '<!DOCTYPE html><html><body>' . $html . '</body></html>',
+            LIBXML_NOERROR,
+            'UTF-8'
+        );
+        $body = $document->body;
+        if (null === $body) {
+            return $result;
+        }
+
+        try {
+            $matches = iterator_to_array($body->querySelectorAll($this->heading_selector));
+        } catch (\Throwable $e) {
+            return $result;
+        }
+
+        // Position of every h1–h6 in document order, used to find the same
+        // element again with the tag processor below.
+        $all_headings = iterator_to_array($body->querySelectorAll('h1, h2, h3, h4, h5, h6'));
+
+        // Excluded headings count too; the script checks the same set
+        $taken_ids = array();
+        foreach ($matches as $element) {
+            if ($element->hasAttribute('id')) {
+                $taken_ids[$element->getAttribute('id')] = true;
+            }
+        }
+
+        $slug_options = self::get_slug_options();
+        $updates = array();
+        $positions = array();
+        foreach ($matches as $element) {
+            if ($this->is_excluded($element)) {
+                continue;
+            }
+
+            $index = array_search($element, $all_headings, true);
+            if (false === $index) {
+                // Not a real heading element; the JavaScript will handle it.
+                return $result;
+            }
+
+            $text = (string) $element->textContent;
+            $label = trim((string) $element->getAttribute('data-toc-label'));
+            $id = (string) $element->getAttribute('id');
+            if ('' === $id) {
+                $id = $this->unique_id($text, $taken_ids, $slug_options);
+                $updates[$index]['id'] = $id;
+            }
+            $positions[] = $index;
+
+            $result['headings'][] = array(
+                'id' => $id,
+                'text' => trim($text),
+                'label' => '' !== $label ? $label : trim($text),
+                'level' => (int) substr(strtolower($element->localName), 1),
+            );
+        }
+
+        // Section numbers on the headings themselves (shown with CSS ::before)
+        $numbering = self::get_numbering_options();
+        if ($numbering['headings']) {
+            $numbers = array_slice(
+                self::get_numbers(array_merge($preceding, $result['headings']), $numbering),
+                count($preceding)
+            );
+            foreach ($numbers as $i => $number) {
+                if ('' !== $number) {
+                    $updates[$positions[$i]]['data-toc-number'] = $number;
+                }
+            }
+        }
+
+        if ($updates) {
+            $html = $this->write_attributes($html, $updates, $all_headings);
+            if (null === $html) {
+                $result['headings'] = array();
+                return $result;
+            }
+            $result['html'] = $html;
+        }
+
+        return $result;
+    }
+
+    /**
+     * Render the outline as <li> items for a .smart-toc-list
+     *
+     * Produces the same markup as renderTocItems() in the JavaScript, so the
+     * script can attach to it without rebuilding the list.
+     *
+     * @param array  $headings    Headings from parse(); headings on another page carry 'page' and 'url'.
+     * @param array  $strings     Strings with 'goToSection', 'subsections' and 'pageNumber'.
+     * @param bool   $collapsible Whether nested branches can collapse.
+     * @param string $id_prefix   Prefix for the sublist IDs.
+     * @return string
+     */
+    public static function render_items(array $headings, array $strings, bool $collapsible, string $id_prefix): string
+    {
+        $headings = array_values($headings);
+        foreach (self::get_numbers($headings, self::get_numbering_options()) as $i => $number) {
+            $headings[$i]['number'] = $number;
+        }
+
+        $counter = 0;
+        return self::render_nodes(self::build_tree($headings), $strings, $collapsible, $id_prefix, 1, $counter);
+    }
+
+    /**
+     * Nest headings under the nearest preceding heading with a lower level
+     *
+     * Same result as buildHeadingTree() in the JavaScript, so skipped levels
+     * (H2 → H4) still nest correctly.
+     *
+     * @param array $headings Headings from parse().
+     * @return array Tree nodes with 'heading', 'level' and 'children'.
+     */
+    public static function build_tree(array $headings): array
+    {
+        $index = 0;
+        return self::collect_children(array_values($headings), $index, 0);
+    }
+
+    /**
+     * Collect the following headings that are deeper than the parent level
+     *
+     * @param array $headings     Headings in document order.
+     * @param int   $index        Position of the next heading, advanced as headings are consumed.
+     * @param int   $parent_level Level of the parent node, 0 for the root.
+     * @return array
+     */
+    private static function collect_children(array $headings, int &$index, int $parent_level): array
+    {
+        $nodes = array();
+        while ($index < count($headings) && $headings[$index]['level'] > $parent_level) {
+            $heading = $headings[$index];
+            $index++;
+            $nodes[] = array(
+                'heading' => $heading,
+                'level' => $heading['level'],
+                'children' => self::collect_children($headings, $index, $heading['level']),
+            );
+        }
+        return $nodes;
+    }
+
+    /**
+     * Render tree nodes recursively
+     *
+     * @param array  $nodes       Tree nodes.
+     * @param array  $strings     Translated strings.
+     * @param bool   $collapsible Whether branches can collapse.
+     * @param string $id_prefix   Prefix for sublist IDs.
+     * @param int    $depth       Nesting depth, 1 for the top level.
+     * @param int    $counter     Running sublist counter.
+     * @return string
+     */
+    private static function render_nodes(array $nodes, array $strings, bool $collapsible, string $id_prefix, int $depth, int &$counter): string
+    {
+        $output = '';
+        foreach ($nodes as $node) {
+            $heading = $node['heading'];
+            $level = (int) $heading['level'];
+            $has_children = ! empty($node['children']);
+
+            $classes = 'smart-toc-item smart-toc-item--level-' . $level;
+            if ($has_children) {
+                $classes .= $collapsible ? ' has-children' : ' has-children is-expanded';
+            }
+
+            $number = (string) ($heading['number'] ?? '');
+            $label = '' !== $number ? $number . ' ' . $heading['label'] : $heading['label'];
+
+            // Heading on another page of a paginated post
+            $page = isset($heading['url']) ? sprintf($strings['pageNumber'], (int) $heading['page']) : '';
+            if ('' !== $page) {
+                $classes .= ' is-other-page';
+            }
+
+            $row = sprintf(
+                '<a href="%1$s" class="smart-toc-link smart-toc-link--level-%2$d%3$s" aria-label="%4$s">%5$s%6$s</a>',
+                '' !== $page ? esc_url($heading['url']) : '#' . esc_attr($heading['id']),
+                $level,
+                '' !== $page ? ' smart-toc-link--other-page' : '',
+                esc_attr($strings['goToSection'] . ' ' . $label . ('' !== $page ? ' (' . $page . ')' : '')),
+                '' !== $number ? '<span class="smart-toc-number">' . esc_html($number) . '</span> ' : '',
+                esc_html($heading['label'])
+            );
+            if ('' !== $page) {
+                $row .= '<span class="smart-toc-page" aria-hidden="true">' . esc_html($page) . '</span>';
+            }
+
+            $sublist = '';
+            if ($has_children) {
+                $counter++;
+                $sublist_id = $id_prefix . '-sublist-' . $counter;
+
+                if ($collapsible) {
+                    $row .= sprintf(
+                        '<button type="button" class="smart-toc-branch-toggle" aria-expanded="false" aria-controls="%1$s" aria-label="%2$s"></button>',
+                        esc_attr($sublist_id),
+                        esc_attr($strings['subsections'] . ' ' . $label)
+                    );
+                }
+
+                $sublist = sprintf(
+                    '<ul class="smart-toc-sublist" id="%1$s" role="list"%2$s>%3$s</ul>',
+                    esc_attr($sublist_id),
+                    $collapsible ? ' hidden' : '',
+                    self::render_nodes($node['children'], $strings, $collapsible, $id_prefix, $depth + 1, $counter)
+                );
+            }
+
+            $output .= sprintf(
+                '<li class="%1$s" data-depth="%2$d"%3$s><div class="smart-toc-item__row">%4$s</div>%5$s</li>',
+                esc_attr($classes),
+                $depth,
+                '' !== $page ? ' data-page="' . (int) $heading['page'] . '"' : '',
+                $row,
+                $sublist
+            );
+        }
+        return $output;
+    }
+
+    /**
+     * Render the outline as a nested Markdown list of links
+     *
+     * @param array $headings Headings with 'label', 'level', 'url' and an optional 'number'.
+     * @return string
+     */
+    public static function render_markdown(array $headings): string
+    {
+        return self::render_markdown_nodes(self::build_tree($headings), 0);
+    }
+
+    /**
+     * Render tree nodes as Markdown list items, indented by depth
+     *
+     * @param array $nodes Tree nodes.
+     * @param int   $depth Nesting depth, 0 for the top level.
+     * @return string
+     */
+    private static function render_markdown_nodes(array $nodes, int $depth): string
+    {
+        $output = '';
+        foreach ($nodes as $node) {
+            $heading = $node['heading'];
+            $number = (string) ($heading['number'] ?? '');
+            $label = '' !== $number ? $number . ' ' . $heading['label'] : $heading['label'];
+
+            $output .= sprintf(
+                "%s- [%s](%s)\n",
+                str_repeat('  ', $depth),
+                addcslashes($label, '\\[]*_`<>'),
+                str_replace(array('(', ')', ' '), array('%28', '%29', '%20'), $heading['url'])
+            );
+            $output .= self::render_markdown_nodes($node['children'], $depth + 1);
+        }
+        return $output;
+    }
+
+    /**
+     * Render the outline as a plain nested <ul> of links, e.g. for print
+     *
+     * Unlike render_items() there are no toggles, classes for the script or
+     * ARIA labels, only the links.
+     *
+     * @param array $headings Headings with 'label', 'level', 'url' and an optional 'number'.
+     * @return string
+     */
+    public static function render_html(array $headings): string
+    {
+        $items = self::render_html_nodes(self::build_tree($headings));
+        return '' !== $items ? '<ul class="smart-toc-outline">' . $items . '</ul>' : '';
+    }
+
+    /**
+     * Render tree nodes as <li> items with nested lists
+     *
+     * @param array $nodes Tree nodes.
+     * @return string
+     */
+    private static function render_html_nodes(array $nodes): string
+    {
+        $output = '';
+        foreach ($nodes as $node) {
+            $heading = $node['heading'];
+            $number = (string) ($heading['number'] ?? '');
+
+            $output .= sprintf(
+                '<li><a href="%1$s">%2$s%3$s</a>%4$s</li>',
+                esc_url($heading['url']),
+                '' !== $number ? esc_html($number) . ' ' : '',
+                esc_html($heading['label']),
+                $node['children'] ? '<ul>' . self::render_html_nodes($node['children']) . '</ul>' : ''
+            );
+        }
+        return $output;
+    }
+
+    /**
+     * Whether a heading matches an exclude selector itself or via an ancestor
+     *
+     * @param \Dom\Element $element Heading element.
+     * @return bool
+     */
+    private function is_excluded(\Dom\Element $element): bool
+    {
+        foreach ($this->exclude_selectors as $selector) {
+            try {
+                if (null !== $element->closest($selector)) {
+                    return true;
+                }
+            } catch (\Throwable $e) {
+                continue;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Build a heading ID that is not taken yet and reserve it
+     *
+     * @param string $text         Heading text.
+     * @param array  $taken_ids    IDs already in use, keyed by ID.
+     * @param array  $slug_options Options from get_slug_options().
+     * @return string
+     */
+    private function unique_id(string $text, array &$taken_ids, array $slug_options): string
+    {
+        $base = $slug_options['prefix'] . self::slugify($text, $slug_options);
+        $id = $base;
+        $count = 1;
+        while (isset($taken_ids[$id])) {
+            $count++;
+            $id = $base . '-' . $count;
+        }
+        $taken_ids[$id] = true;
+        return $id;
+    }
+
+    /**
+     * Write attributes onto headings without reserializing the rest of the HTML
+     *
+     * @param string $html         Original HTML.
+     * @param array  $updates      Attributes (name => value) keyed by heading position.
+     * @param array  $all_headings All h1–h6 elements in document order.
+     * @return string|null Updated HTML, or null if the markup could not be matched up.
+     */
+    private function write_attributes(string $html, array $updates, array $all_headings): ?string
+    {
+        $processor = new WP_HTML_Tag_Processor($html);
+        $index = 0;
+
+        while ($processor->next_tag()) {
+            $tag = $processor->get_tag();
+            if (! preg_match('/^H[1-6]$/', (string) $tag)) {
+                continue;
+            }
+
+            // Bail out if the tag processor and the DOM disagree on structure.
+            if (! isset($all_headings[$index]) || strtoupper($all_headings[$index]->localName) !== $tag) {
+                return null;
+            }
+
+            foreach ($updates[$index] ?? array() as $name => $value) {
+                $processor->set_attribute($name, $value);
+            }
+            $index++;
+        }
+
+        return $processor->get_updated_html();
+    }
+}
@@ -51,6 +51,13 @@ define('SMART_SECTION_TOC_PLUGIN_DIR', plugin_dir_path(__FILE__));
 define('SMART_SECTION_TOC_PLUGIN_URL', plugin_dir_url(__FILE__));
 define('SMART_SECTION_TOC_PLUGIN_BASENAME', plugin_basename(__FILE__));
 
+require_once SMART_SECTION_TOC_PLUGIN_DIR . 'includes/class-smart-section-toc-outline.php';
+
+if (defined('WP_CLI') && WP_CLI) {
+    require_once SMART_SECTION_TOC_PLUGIN_DIR . 'includes/class-smart-section-toc-cli.php';
+    WP_CLI::add_command('smart-toc', 'Smart_Section_TOC_CLI');
+}
+
 /**
  * Main plugin class that encapsulates all functionality
  *
@@ -66,10 +73,71 @@ define('SMART_SECTION_TOC_PLUGIN_BASENAME', plugin_basename(__FILE__));
  *     return '.entry-content, .dynamic-entry-content, .sideindhold-wrapper';
  * });
  *
- * // Include H3 headings as well
+ * // Include H3 headings as well (rendered as a nested list)
  * add_filter( 'smart_section_toc_heading_selector', function() {
  *     return 'h2, h3';
  * });
+ *
+ * // Mark a section active when its heading reaches the middle of the screen
+ * add_filter( 'smart_section_toc_activation_line', function() {
+ *     return 0.5;
+ * });
+ *
+ * // Scroll below the theme's own sticky header
+ * add_filter( 'smart_section_toc_header_selectors', function( $selectors ) {
+ *     $selectors[] = '.my-theme-header';
+ *     return $selectors;
+ * });
+ *
+ * // Keep all nested branches expanded
+ * add_filter( 'smart_section_toc_collapsible', '__return_false' );
+ *
+ * // Rebuild the TOC when headings are added later (AJAX, "load more", tabs)
+ * add_filter( 'smart_section_toc_live_update', '__return_true' );
+ *
+ * // Leave out headings inside these containers (default: .widget)
+ * add_filter( 'smart_section_toc_exclude_selectors', function( $selectors ) {
+ *     $selectors[] = '.newsletter-box';
+ *     return $selectors;
+ * });
+ *
+ * // Pin a "current section" bar under the header on mobile
+ * add_filter( 'smart_section_toc_mobile_bar', '__return_true' );
+ *
+ * // Show how far each section and the article have been read
+ * add_filter( 'smart_section_toc_reading_progress', '__return_true' );
+ *
+ * // Add a filter box above long TOCs
+ * add_filter( 'smart_section_toc_filter', '__return_true' );
+ *
+ * // Send TOC usage events to window.dataLayer (Google Tag Manager)
+ * add_filter( 'smart_section_toc_analytics', '__return_true' );
+ *
+ * // Show a "copy link" button next to each heading in the TOC
+ * add_filter( 'smart_section_toc_heading_anchors', '__return_true' );
+ *
+ * // Number sections (1, 1.1, 1.2 …) in the TOC and in front of the headings
+ * add_filter( 'smart_section_toc_numbering', function() {
+ *     return 'decimal';
+ * });
+ * add_filter( 'smart_section_toc_numbering_headings', '__return_true' );
+ *
+ * // Add a browser history entry per TOC click, so "back" returns to the previous section
+ * add_filter( 'smart_section_toc_history', function() {
+ *     return 'push';
+ * });
+ *
+ * // Render heading IDs and the TOC list on the server (works without JS)
+ * add_filter( 'smart_section_toc_server_render', '__return_true' );
+ *
+ * // Only list the current page of posts split with <!--nextpage-->
+ * add_filter( 'smart_section_toc_paginated', '__return_false' );
+ *
+ * // Keep non-Latin scripts in heading IDs and use a shorter prefix
+ * add_filter( 'smart_section_toc_slug_unicode', '__return_true' );
+ * add_filter( 'smart_section_toc_slug_prefix', function() {
+ *     return 'h-';
+ * });
  */
 class Smart_Section_TOC
 {
@@ -91,6 +159,65 @@ class Smart_Section_TOC
      */
     private bool $enqueue_assets = false;
 
+    /**
+     * Headings found in the post content by the server-side render pass
+     *
+     * Null until prepare_content() has run for the main post, or a TOC
+     * rendered before it has read the page with get_page_outlines().
+     *
+     * @var array|null
+     */
+    private ?array $outline = null;
+
+    /**
+     * Headings on every page of a post split with <!--nextpage-->
+     *
+     * Null until get_pagination() has run, false when the post is not
+     * paginated.
+     *
+     * @var array|false|null
+     */
+    private array|false|null $pagination = null;
+
+    /**
+     * Set while get_page_outlines() renders a page, so prepare_content()
+     * runs for that content as it does for the viewed post
+     *
+     * @var bool
+     */
+    private bool $rendering_outline = false;
+
+    /**
+     * Headings on the pages before the one get_page_outlines() renders,
+     * so numbers on headings continue from them
+     *
+     * @var array
+     */
+    private array $preceding_headings = array();
+
+    /**
+     * Per-instance shortcode attributes shared by both shortcodes
+     *
+     * Empty values fall back to the global settings passed to JavaScript.
+     *
+     * @var array<string, string>
+     */
+    private const INSTANCE_ATTS = array(
+        'content' => '',
+        'headings' => '',
+        'min' => '',
+        'offset' => '',
+        'exclude' => '',
+        'title_tag' => 'h3',
+    );
+
+    /**
+     * Tags allowed for the TOC title via the title_tag attribute
+     *
+     * @var string[]
+     */
+    private const TITLE_TAGS = array('h2', 'h3', 'h4', 'h5', 'h6', 'p', 'div', 'span', 'strong');
+
     /**
      * Get the singleton instance of the plugin
      *
@@ -122,9 +249,25 @@ class Smart_Section_TOC
         add_shortcode('smart_section_toc', array($this, 'render_shortcode'));
         add_shortcode('smart_section_toc_mobile_button', array($this, 'render_mobile_toggle_shortcode'));
 
+        // Register the block (rendered by the same code as the shortcodes)
+        add_action('init', array($this, 'register_block'));
+        add_action('enqueue_block_editor_assets', array($this, 'enqueue_heading_controls'));
+        add_filter('render_block_core/heading', array($this, 'mark_excluded_heading'), 10, 2);
+
+        // Outline for headless front ends and tooling (see also WP-CLI below)
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
+
         // Enqueue assets only when needed
         add_action('wp_enqueue_scripts', array($this, 'maybe_enqueue_assets'));
 
+        // Other pages of a paginated post, once a TOC has rendered (footer scripts print at 20)
+        add_action('wp_footer', array($this, 'add_pagination_data'), 5);
+
+        // Write heading IDs after blocks (do_blocks is priority 9) and before
+        // shortcodes (do_shortcode is priority 11). A TOC block in the content
+        // renders before this and reads the outline itself.
+        add_filter('the_content', array($this, 'prepare_content'), 10);
+
         // Add plugin action links
         add_filter('plugin_action_links_' . SMART_SECTION_TOC_PLUGIN_BASENAME, array($this, 'add_action_links'));
 
@@ -155,7 +298,12 @@ class Smart_Section_TOC
      * This method is called whenever [smart_section_toc] is used in content.
      * It sets a flag to enqueue assets and returns the TOC HTML structure.
      *
-     * @param array $atts Shortcode attributes (currently unused but available for future enhancements)
+     * Besides title, container_class and mode ("desktop" or "popup"), the
+     * per-instance attributes in INSTANCE_ATTS (content, headings, min,
+     * offset, exclude, title_tag) are supported,
+     * e.g. [smart_section_toc headings="h2, h3" min="3"].
+     *
+     * @param array $atts Shortcode attributes
      * @return string The HTML output for the TOC container
      */
     public function render_shortcode($atts): string
@@ -163,21 +311,35 @@ class Smart_Section_TOC
         // Flag that we need to load assets
         $this->enqueue_assets = true;
 
-        // Allow customization through shortcode attributes in future versions
-        $atts = shortcode_atts(array(
+        $atts = shortcode_atts(array_merge(array(
             'title' => __('Content on the site', 'smart-section-toc'),
             'container_class' => 'smart-toc-navigation',
-        ), $atts, 'smart_section_toc');
+            'mode' => 'desktop',
+        ), self::INSTANCE_ATTS), $atts, 'smart_section_toc');
+
+        $title_tag = $this->sanitize_title_tag($atts['title_tag']);
+
+        // Popup mode shows only the toggle button, on all screen sizes
+        $container_class = $atts['container_class'];
+        if ('popup' === $atts['mode']) {
+            $container_class .= ' smart-toc-navigation--popup';
+        }
+
+        // Unique IDs so several TOCs can live on the same page
+        $toc_id = wp_unique_id('smart-section-toc-');
+
+        $items = $this->get_server_rendered_items($atts, $toc_id . '-mobile');
+        $desktop_items = $this->get_server_rendered_items($atts, $toc_id . '-desktop');
 
         // Build the TOC HTML structure with proper accessibility attributes
         $output = sprintf(
-            '<div class="%1$s">
-        <h3>%2$s</h3>
+            '<div class="%1$s" id="%4$s" data-smart-toc="navigation"%5$s%7$s>
+        <%6$s class="smart-toc-title">%2$s</%6$s>
 
         <button class="smart-toc-toggle"
                 type="button"
                 aria-label="%3$s"
-                aria-controls="smart-article-toc"
+                aria-controls="%4$s-mobile"
                 aria-expanded="false">
             <span aria-hidden="true" class="smart-toc-toggle__dot"></span>
             <span aria-hidden="true" class="smart-toc-toggle__dot"></span>
@@ -186,20 +348,26 @@ class Smart_Section_TOC
 
         <!-- Mobile popup -->
         <div class="smart-toc-popup" role="dialog" aria-modal="true" aria-label="%2$s">
-            <h3>%2$s</h3>
-            <nav id="smart-article-toc-mobile" aria-label="%2$s">
-                <ul class="smart-toc-list" role="list"></ul>
+            <%6$s class="smart-toc-title">%2$s</%6$s>
+            <nav id="%4$s-mobile" aria-label="%2$s">
+                <ul class="smart-toc-list" role="list">%8$s</ul>
             </nav>
         </div>
 
         <!-- Normal desktop navigation -->
-        <nav id="smart-article-toc-desktop" aria-label="%2$s">
-            <ul class="smart-toc-list" role="list"></ul>
+        <nav id="%4$s-desktop" aria-label="%2$s">
+            <ul class="smart-toc-list" role="list">%9$s</ul>
         </nav>
     </div>',
-            esc_attr($atts['container_class']),
+            esc_attr($container_class),
             esc_html($atts['title']),
-            esc_attr__('Open table of contents', 'smart-section-toc')
+            esc_attr__('Open table of contents', 'smart-section-toc'),
+            esc_attr($toc_id),
+            $this->get_instance_data_attributes($atts),
+            $title_tag,
+            '' !== $items ? ' data-smart-toc-rendered="server"' : '',
+            $items,
+            $desktop_items
         );
         return $output;
     }
@@ -216,20 +384,23 @@ class Smart_Section_TOC
     {
         $this->enqueue_assets = true;
 
-        $defaults = array(
+        $defaults = array_merge(array(
             'title' => __('Content on the site', 'smart-section-toc'),
             'container_class' => 'smart-toc-inline',
-        );
+        ), self::INSTANCE_ATTS);
 
         $atts = shortcode_atts($defaults, $atts, 'smart_section_toc_mobile_button');
+        $title_tag = $this->sanitize_title_tag($atts['title_tag']);
 
-        $nav_id = esc_attr(wp_unique_id('smart-article-toc-mobile-inline-'));
+        $toc_id = esc_attr(wp_unique_id('smart-section-toc-inline-'));
+        $nav_id = $toc_id . '-nav';
+        $items = $this->get_server_rendered_items($atts, $nav_id);
         $label_text = $atts['title'];
         $label_attr = esc_attr($label_text);
         $label = esc_html($label_text);
 
         return sprintf(
-            '<div class="%1$s" data-smart-toc-inline="true">
+            '<div class="%1$s" id="%5$s" data-smart-toc="inline" data-smart-toc-inline="true"%6$s%8$s>
                 <button class="smart-toc-inline-toggle" type="button" aria-label="%4$s" aria-controls="%3$s" aria-expanded="false">
                     <span class="smart-toc-inline-toggle__label">%2$s</span>
                     <span class="smart-toc-inline-toggle__icon" aria-hidden="true">
@@ -239,19 +410,780 @@ class Smart_Section_TOC
                     </span>
                 </button>
                 <div class="smart-toc-popup smart-toc-popup--inline" role="dialog" aria-modal="true" aria-label="%4$s">
-                    <h3>%2$s</h3>
+                    <%7$s class="smart-toc-title">%2$s</%7$s>
                     <nav id="%3$s" aria-label="%4$s">
-                        <ul class="smart-toc-list" role="list"></ul>
+                        <ul class="smart-toc-list" role="list">%9$s</ul>
                     </nav>
                 </div>
             </div>',
             esc_attr($atts['container_class']),
             $label,
             $nav_id,
-            $label_attr
+            $label_attr,
+            $toc_id,
+            $this->get_instance_data_attributes($atts),
+            $title_tag,
+            '' !== $items ? ' data-smart-toc-rendered="server"' : '',
+            $items
+        );
+    }
+
+    /**
+     * Register the Table of Contents block and its editor script
+     *
+     * The block is dynamic: render_block() passes its attributes on to the
+     * shortcode renderers, so the block and the shortcodes output the same
+     * markup.
+     *
+     * @return void
+     */
+    public function register_block(): void
+    {
+        // Registered here so block.json can use the handle as editor style
+        wp_register_style(
+            'smart-section-toc',
+            SMART_SECTION_TOC_PLUGIN_URL . 'assets/css/smart-section-toc.css',
+            array(),
+            SMART_SECTION_TOC_VERSION
+        );
+
+        wp_register_script(
+            'smart-section-toc-block-editor',
+            SMART_SECTION_TOC_PLUGIN_URL . 'blocks/toc/index.js',
+            array('wp-blocks', 'wp-block-editor', 'wp-components', 'wp-data', 'wp-element', 'wp-i18n'),
+            SMART_SECTION_TOC_VERSION,
+            true
+        );
+
+        // The editor preview uses the site settings for anything the block leaves empty
+        wp_localize_script(
+            'smart-section-toc-block-editor',
+            'smartSectionTOCEditor',
+            array(
+                'headingSelector' => apply_filters('smart_section_toc_heading_selector', 'h2'),
+                'minHeadings' => apply_filters('smart_section_toc_min_headings', 1),
+                'defaultTitle' => __('Content on the site', 'smart-section-toc'),
+            )
+        );
+
+        wp_set_script_translations(
+            'smart-section-toc-block-editor',
+            'smart-section-toc',
+            SMART_SECTION_TOC_PLUGIN_DIR . 'languages'
+        );
+
+        register_block_type(SMART_SECTION_TOC_PLUGIN_DIR . 'blocks/toc', array(
+            'render_callback' => array($this, 'render_block'),
+        ));
+    }
+
+    /**
+     * Render the Table of Contents block
+     *
+     * Empty block attributes are left out, so the shortcode defaults and
+     * the global filters apply.
+     *
+     * @param array $attributes Block attributes.
+     * @return string
+     */
+    public function render_block(array $attributes): string
+    {
+        // Block templates render after wp_enqueue_scripts; the footer script can still be added
+        if (did_action('wp_enqueue_scripts') && ! wp_script_is('smart-section-toc')) {
+            $this->enqueue_assets_files();
+        }
+
+        $atts = array();
+
+        if ('' !== trim((string) ($attributes['title'] ?? ''))) {
+            $atts['title'] = $attributes['title'];
+        }
+
+        $levels = array_filter(
+            array_map('intval', (array) ($attributes['headingLevels'] ?? array())),
+            static fn(int $level): bool => $level >= 1 && $level <= 6
+        );
+        $headings = array_unique(array_map(static fn(int $level): string => 'h' . $level, $levels));
+        sort($headings);
+
+        // The site's own levels are left out, so the list can still be
+        // rendered on the server and span all pages of a paginated post
+        $site_headings = array_unique(array_map(
+            'trim',
+            explode(',', strtolower((string) apply_filters('smart_section_toc_heading_selector', 'h2')))
+        ));
+        sort($site_headings);
+        if ($headings && $headings !== $site_headings) {
+            $atts['headings'] = implode(', ', $headings);
+        }
+
+        if (! empty($attributes['minHeadings'])) {
+            $atts['min'] = (string) absint($attributes['minHeadings']);
+        }
+
+        $extra_class = trim((string) ($attributes['className'] ?? ''));
+        $mode = $attributes['mode'] ?? 'desktop';
+
+        if ('inline' === $mode) {
+            $atts['container_class'] = trim('smart-toc-inline ' . $extra_class);
+            return $this->render_mobile_toggle_shortcode($atts);
+        }
+
+        $atts['container_class'] = trim('smart-toc-navigation ' . $extra_class);
+        $atts['mode'] = 'popup' === $mode ? 'popup' : 'desktop';
+        return $this->render_shortcode($atts);
+    }
+
+    /**
+     * Load the "Hide from table of contents" toggle for Heading blocks
+     *
+     * @return void
+     */
+    public function enqueue_heading_controls(): void
+    {
+        wp_enqueue_script(
+            'smart-section-toc-heading-controls',
+            SMART_SECTION_TOC_PLUGIN_URL . 'blocks/heading-controls.js',
+            array('wp-hooks', 'wp-compose', 'wp-block-editor', 'wp-components', 'wp-element', 'wp-i18n'),
+            SMART_SECTION_TOC_VERSION,
+            true
+        );
+
+        wp_set_script_translations(
+            'smart-section-toc-heading-controls',
+            'smart-section-toc',
+            SMART_SECTION_TOC_PLUGIN_DIR . 'languages'
+        );
+    }
+
+    /**
+     * Add data-toc-exclude to Heading blocks hidden from the TOC
+     *
+     * The toggle is stored as a block attribute only, so the attribute is
+     * written here instead of in the saved block markup.
+     *
+     * @param string $block_content Rendered block HTML.
+     * @param array  $block         Parsed block.
+     * @return string
+     */
+    public function mark_excluded_heading($block_content, $block): string
+    {
+        $block_content = (string) $block_content;
+        if (empty($block['attrs']['smartTocExclude'])) {
+            return $block_content;
+        }
+
+        $processor = new WP_HTML_Tag_Processor($block_content);
+        while ($processor->next_tag()) {
+            if (preg_match('/^H[1-6]$/', $processor->get_tag())) {
+                $processor->set_attribute('data-toc-exclude', true);
+                return $processor->get_updated_html();
+            }
+        }
+        return $block_content;
+    }
+
+    /**
+     * Build the data-* attributes for per-instance settings
+     *
+     * Only attributes that were actually set are rendered, so the JavaScript
+     * can fall back to the global settings for everything else.
+     *
+     * @param array $atts Parsed shortcode attributes.
+     * @return string Attribute string with a leading space, or an empty string.
+     */
+    private function get_instance_data_attributes(array $atts): string
+    {
+        $data = array(
+            'content' => trim((string) $atts['content']),
+            'headings' => trim((string) $atts['headings']),
+            'min' => '' !== trim((string) $atts['min']) ? (string) absint($atts['min']) : '',
+            'offset' => '' !== trim((string) $atts['offset']) ? (string) intval($atts['offset']) : '',
+            'exclude' => trim((string) $atts['exclude']),
+        );
+
+        $output = '';
+        foreach ($data as $key => $value) {
+            if ('' === $value) {
+                continue;
+            }
+            $output .= sprintf(' data-smart-toc-%s="%s"', $key, esc_attr($value));
+        }
+        return $output;
+    }
+
+    /**
+     * Whether the server-side render pass is enabled
+     *
+     * @return bool
+     */
+    private function is_server_render_enabled(): bool
+    {
+        return (bool) apply_filters('smart_section_toc_server_render', false);
+    }
+
+    /**
+     * Give the post's headings stable IDs and remember the outline
+     *
+     * Runs on the_content for the main post only, before shortcodes are
+     * rendered, so a [smart_section_toc] inside the content (or rendered later
+     * in a sidebar) can output its link list on the server. Also runs for
+     * the pages rendered by get_page_outlines(), without touching the
+     * outline of the viewed page. Numbers on headings continue from the
+     * pages before this one in a paginated post.
+     *
+     * @param string $content Post content.
+     * @return string Content with heading IDs.
+     */
+    public function prepare_content($content): string
+    {
+        $content = (string) $content;
+        if (
+            ! $this->is_server_render_enabled() ||
+            (
+                ! $this->rendering_outline &&
+                (! is_singular() || ! in_the_loop() || ! is_main_query())
+            )
+        ) {
+            return $content;
+        }
+
+        $parser = new Smart_Section_TOC_Outline(
+            apply_filters('smart_section_toc_heading_selector', 'h2')
+        );
+        $result = $parser->parse($content, $this->get_preceding_headings());
+        if (! $this->rendering_outline) {
+            $this->outline = $result['headings'];
+        }
+
+        return $result['html'];
+    }
+
+    /**
+     * Render the <li> items for a shortcode from the server-side outline
+     *
+     * Returns an empty string when there is nothing to render on the server,
+     * including when the shortcode overrides the content, heading or exclude
+     * selector; the JavaScript builds the list in those cases.
+     *
+     * A TOC that renders before prepare_content() – a block in the content,
+     * or one placed above the post content in a block theme – reads the
+     * viewed page with get_page_outlines() instead.
+     *
+     * @param array  $atts      Parsed shortcode attributes.
+     * @param string $id_prefix Prefix for the nested list IDs.
+     * @return string
+     */
+    private function get_server_rendered_items(array $atts, string $id_prefix): string
+    {
+        if (
+            ! $this->is_server_render_enabled() ||
+            $this->rendering_outline ||
+            '' !== trim((string) $atts['content']) ||
+            '' !== trim((string) $atts['headings']) ||
+            '' !== trim((string) $atts['exclude'])
+        ) {
+            return '';
+        }
+
+        if (null === $this->outline) {
+            $post = get_queried_object();
+            if (! is_singular() || ! $post instanceof WP_Post) {
+                return '';
+            }
+            $outlines = $this->get_page_outlines($post);
+            $current = min(count($outlines), max(1, (int) get_query_var('page')));
+            $this->outline = $outlines[$current] ?? array();
+        }
+
+        $outline = $this->get_paginated_outline($this->outline);
+        $min = '' !== trim((string) $atts['min'])
+            ? absint($atts['min'])
+            : (int) apply_filters('smart_section_toc_min_headings', 1);
+        if (count($outline) < max(1, $min)) {
+            return '';
+        }
+
+        return Smart_Section_TOC_Outline::render_items(
+            $outline,
+            $this->get_script_strings(),
+            (bool) apply_filters('smart_section_toc_collapsible', true),
+            $id_prefix
+        );
+    }
+
+    /**
+     * Headings on every page of a post split with <!--nextpage-->
+     *
+     * The other pages are read with get_page_outlines(), so their IDs are
+     * the ones each page has when it is viewed. The headings of the current
+     * page are left empty; they are read from the page itself.
+     *
+     * Only called once a TOC renders, or for numbers on headings.
+     *
+     * @return array{current: int, pages: array<int, array{number: int, url: string, headings: array}>}|null
+     *     Null when the post is not paginated.
+     */
+    private function get_pagination(): ?array
+    {
+        if (null !== $this->pagination) {
+            return $this->pagination ?: null;
+        }
+        $this->pagination = false;
+
+        global $wp_query;
+        $post = get_queried_object();
+        if (
+            ! is_singular() ||
+            ! $post instanceof WP_Post ||
+            ! $wp_query instanceof WP_Query ||
+            ! apply_filters('smart_section_toc_paginated', true, $post)
+        ) {
+            return null;
+        }
+
+        $postdata = $wp_query->generate_postdata($post);
+        if (empty($postdata['multipage'])) {
+            return null;
+        }
+
+        $current = min(count($postdata['pages']), max(1, (int) get_query_var('page')));
+        $pages = array();
+        foreach ($this->get_page_outlines($post) as $number => $headings) {
+            $pages[] = array(
+                'number' => $number,
+                'url' => esc_url_raw($this->get_page_url($post, $number)),
+                'headings' => $number === $current ? array() : $headings,
+            );
+        }
+
+        $this->pagination = array(
+            'current' => $current,
+            'pages' => $pages,
+        );
+        return $this->pagination;
+    }
+
+    /**
+     * Headings of each page of a post, with the IDs the page has when it is viewed
+     *
+     * Every page goes through the_content like the viewed post: blocks,
+     * patterns, shortcodes and other filters are rendered, and
+     * prepare_content() writes IDs at the same point when server rendering
+     * is on. The result is then parsed like the script reads the page, so
+     * headings that are still without an ID get the same one the browser
+     * gives them.
+     *
+     * Rendering every page is expensive, so the result is cached in a
+     * transient until the post or the heading settings change. Logged-in
+     * users can see other content than visitors, so their outlines are
+     * neither read from nor written to the cache.
+     *
+     * Shared by the paginated TOC, the REST route and the WP-CLI command.
+     *
+     * @param WP_Post $post The post.
+     * @return array<int, array> Headings from Smart_Section_TOC_Outline::parse(), keyed by page number.
+     */
+    public function get_page_outlines(WP_Post $post): array
+    {
+        $cache_key = $this->get_page_outlines_cache_key($post);
+        $use_cache = ! is_user_logged_in();
+        if ($use_cache) {
+            $outlines = get_transient($cache_key);
+            if (is_array($outlines)) {
+                return $outlines;
+            }
+        }
+
+        // setup_postdata() and the_content change these; the caller gets them back as they were
+        $names = array('post', 'id', 'authordata', 'currentday', 'currentmonth', 'page', 'pages', 'multipage', 'more', 'numpages');
+        $saved = array_intersect_key($GLOBALS, array_flip($names));
+
+        $parser = new Smart_Section_TOC_Outline(
+            apply_filters('smart_section_toc_heading_selector', 'h2')
+        );
+        $outlines = array();
+        $this->rendering_outline = true;
+        try {
+            $GLOBALS['post'] = $post;
+            setup_postdata($post);
+            $page_contents = array_values((array) ($GLOBALS['pages'] ?? array()));
+
+            foreach ($page_contents as $i => $page_content) {
+                $number = $i + 1;
+                $this->preceding_headings = array_merge(array(), ...array_values($outlines));
+                $GLOBALS['page'] = $number;
+                $result = $parser->parse((string) apply_filters('the_content', $page_content));
+                $outlines[$number] = $result['headings'];
+            }
+        } finally {
+            $this->rendering_outline = false;
+            $this->preceding_headings = array();
+            foreach ($names as $name) {
+                if (array_key_exists($name, $saved)) {
+                    $GLOBALS[$name] = $saved[$name];
+                } else {
+                    unset($GLOBALS[$name]);
+                }
+            }
+        }
+
+        if ($use_cache) {
+            set_transient($cache_key, $outlines, DAY_IN_SECONDS);
+        }
+
+        return $outlines;
+    }
+
+    /**
+     * Transient name for the page outlines of a post
+     *
+     * Changes when the post is saved and with the settings that decide
+     * which headings are found and which IDs they get.
+     *
+     * @param WP_Post $post The post.
+     * @return string
+     */
+    private function get_page_outlines_cache_key(WP_Post $post): string
+    {
+        return 'smart_section_toc_outlines_' . md5((string) wp_json_encode(array(
+            $post->ID,
+            $post->post_modified_gmt,
+            SMART_SECTION_TOC_VERSION,
+            $this->is_server_render_enabled(),
+            apply_filters('smart_section_toc_heading_selector', 'h2'),
+            Smart_Section_TOC_Outline::get_exclude_selectors(),
+            Smart_Section_TOC_Outline::get_slug_options(),
+        )));
+    }
+
+    /**
+     * Headings on the pages before the current one, for numbers on headings
+     *
+     * The TOC numbers the sections of a paginated post continuously, so
+     * data-toc-number on a later page continues from the earlier ones.
+     *
+     * @return array Headings from Smart_Section_TOC_Outline::parse().
+     */
+    private function get_preceding_headings(): array
+    {
+        if ($this->rendering_outline) {
+            return $this->preceding_headings;
+        }
+        if (! Smart_Section_TOC_Outline::get_numbering_options()['headings']) {
+            return array();
+        }
+
+        $pagination = $this->get_pagination();
+        if (null === $pagination) {
+            return array();
+        }
+
+        $headings = array();
+        foreach ($pagination['pages'] as $page) {
+            if ($page['number'] < $pagination['current']) {
+                array_push($headings, ...$page['headings']);
+            }
+        }
+        return $headings;
+    }
+
+    /**
+     * URL of one page of a paginated post
+     *
+     * Follows the rules of _wp_link_page() in WordPress core.
+     *
+     * @param WP_Post $post   The post.
+     * @param int     $number Page number, starting at 1.
+     * @return string
+     */
+    private function get_page_url(WP_Post $post, int $number): string
+    {
+        $url = (string) get_permalink($post);
+        if ($number <= 1) {
+            return $url;
+        }
+
+        if (
+            ! get_option('permalink_structure') ||
+            in_array($post->post_status, array('draft', 'pending'), true)
+        ) {
+            return add_query_arg('page', $number, $url);
+        }
+
+        if ('page' === get_option('show_on_front') && (int) get_option('page_on_front') === $post->ID) {
+            return trailingslashit($url) . user_trailingslashit('page/' . $number, 'single_paged');
+        }
+
+        return trailingslashit($url) . user_trailingslashit((string) $number, 'single_paged');
+    }
+
+    /**
+     * Put the headings from the other pages of a paginated post around the
+     * outline of the current page
+     *
+     * Headings from other pages get 'page' and 'url', so the TOC links to
+     * the page they are on.
+     *
+     * @param array $outline Headings on the current page.
+     * @return array
+     */
+    private function get_paginated_outline(array $outline): array
+    {
+        $pagination = $this->get_pagination();
+        if (null === $pagination) {
+            return $outline;
+        }
+
+        $before = array();
+        $after = array();
+        foreach ($pagination['pages'] as $page) {
+            if ($page['number'] === $pagination['current']) {
+                continue;
+            }
+            foreach ($page['headings'] as $heading) {
+                $heading['page'] = $page['number'];
+                $heading['url'] = $page['url'] . '#' . $heading['id'];
+                if ($page['number'] < $pagination['current']) {
+                    $before[] = $heading;
+                } else {
+                    $after[] = $heading;
+                }
+            }
+        }
+
+        return array_merge($before, $outline, $after);
+    }
+
+    /**
+     * The outline of a post, as the front end would build it
+     *
+     * The pages are read with get_page_outlines(), so the IDs are the ones
+     * the browser uses. Numbering continues across the pages of a
+     * paginated post.
+     *
+     * @param WP_Post $post The post.
+     * @return array{id: int, title: string, url: string, pages: int, headings: array<int, array{id: string, text: string, label: string, level: int, number: string, page: int, url: string}>}
+     */
+    public function get_post_outline(WP_Post $post): array
+    {
+        $outlines = $this->get_page_outlines($post);
+        $headings = array();
+        foreach ($outlines as $number => $page_headings) {
+            $url = $this->get_page_url($post, $number);
+            foreach ($page_headings as $heading) {
+                $heading['page'] = $number;
+                $heading['url'] = $url . '#' . $heading['id'];
+                $headings[] = $heading;
+            }
+        }
+
+        $numbers = Smart_Section_TOC_Outline::get_numbers($headings, Smart_Section_TOC_Outline::get_numbering_options());
+        foreach ($headings as $i => $heading) {
+            $headings[$i] = array(
+                'id' => $heading['id'],
+                'text' => $heading['text'],
+                'label' => $heading['label'],
+                'level' => $heading['level'],
+                'number' => $numbers[$i] ?? '',
+                'page' => $heading['page'],
+                'url' => $heading['url'],
+            );
+        }
+
+        return array(
+            'id' => $post->ID,
+            'title' => html_entity_decode(get_the_title($post), ENT_QUOTES, 'UTF-8'),
+            'url' => (string) get_permalink($post),
+            'pages' => max(1, count($outlines)),
+            'headings' => $headings,
+        );
+    }
+
+    /**
+     * Register the REST route for a post's outline
+     *
+     * GET /wp-json/smart-section-toc/v1/posts/<id>?format=json|markdown|html
+     *
+     * @return void
+     */
+    public function register_rest_routes(): void
+    {
+        register_rest_route('smart-section-toc/v1', '/posts/(?P<id>\d+)', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'rest_get_outline'),
+            'permission_callback' => array($this, 'rest_can_read_outline'),
+            'args' => array(
+                'id' => array(
+                    'description' => __('Post ID.', 'smart-section-toc'),
+                    'type' => 'integer',
+                ),
+                'format' => array(
+                    'description' => __('Also return the outline as Markdown or HTML in "content".', 'smart-section-toc'),
+                    'type' => 'string',
+                    'enum' => array('json', 'markdown', 'html'),
+                    'default' => 'json',
+                ),
+            ),
+        ));
+    }
+
+    /**
+     * Only outlines of posts the current visitor can read
+     *
+     * Password-protected posts need the password (or edit rights), like
+     * their content.
+     *
+     * @param WP_REST_Request $request Request.
+     * @return true|WP_Error
+     */
+    public function rest_can_read_outline(WP_REST_Request $request): true|WP_Error
+    {
+        $post = get_post((int) $request['id']);
+        if (! $post instanceof WP_Post) {
+            return new WP_Error('rest_post_invalid_id', __('Invalid post ID.', 'smart-section-toc'), array('status' => 404));
+        }
+
+        if (current_user_can('edit_post', $post->ID)) {
+            return true;
+        }
+        if (is_post_publicly_viewable($post) && ! post_password_required($post)) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_forbidden',
+            __('Sorry, you are not allowed to read the outline of this post.', 'smart-section-toc'),
+            array('status' => rest_authorization_required_code())
+        );
+    }
+
+    /**
+     * REST callback: the outline of a post
+     *
+     * @param WP_REST_Request $request Request.
+     * @return WP_REST_Response
+     */
+    public function rest_get_outline(WP_REST_Request $request): WP_REST_Response
+    {
+        $outline = $this->get_post_outline(get_post((int) $request['id']));
+
+        if ('markdown' === $request['format']) {
+            $outline['content'] = Smart_Section_TOC_Outline::render_markdown($outline['headings']);
+        } elseif ('html' === $request['format']) {
+            $outline['content'] = Smart_Section_TOC_Outline::render_html($outline['headings']);
+        }
+
+        return rest_ensure_response($outline);
+    }
+
+    /**
+     * Translatable strings shared by the JavaScript and the server render
+     *
+     * @return array<string, string>
+     */
+    private function get_script_strings(): array
+    {
+        return array(
+            'goToSection' => __('Go to section:', 'smart-section-toc'),
+            'subsections' => __('Subsections of', 'smart-section-toc'),
+            'currentSection' => __('Current section:', 'smart-section-toc'),
+            'readingProgress' => __('Reading progress', 'smart-section-toc'),
+            'filterLabel' => __('Filter sections', 'smart-section-toc'),
+            /* translators: %d: number of matching sections (always 1) */
+            'filterCountOne' => __('%d matching section', 'smart-section-toc'),
+            /* translators: %d: number of matching sections */
+            'filterCount' => __('%d matching sections', 'smart-section-toc'),
+            'filterNone' => __('No matching sections', 'smart-section-toc'),
+            /* translators: %d: page number of a paginated post */
+            'pageNumber' => __('Page %d', 'smart-section-toc'),
+            'copyLink' => __('Copy link to section:', 'smart-section-toc'),
+            'linkCopied' => __('Link copied', 'smart-section-toc'),
+            'linkInAddressBar' => __('Copy the link from the address bar', 'smart-section-toc'),
+        );
+    }
+
+    /**
+     * How TOC clicks are written to the browser history
+     *
+     * @return string 'none', 'push' or 'replace'.
+     */
+    private function get_history_mode(): string
+    {
+        $mode = (string) apply_filters('smart_section_toc_history', 'none');
+
+        return in_array($mode, array('none', 'push', 'replace'), true) ? $mode : 'none';
+    }
+
+    /**
+     * Easing for scroll animations with a fixed duration
+     *
+     * @return string 'linear', 'ease-in', 'ease-out' or 'ease-in-out'.
+     */
+    private function get_scroll_easing(): string
+    {
+        $easing = (string) apply_filters('smart_section_toc_scroll_easing', 'ease-in-out');
+
+        return in_array($easing, array('linear', 'ease-in', 'ease-out', 'ease-in-out'), true) ? $easing : 'ease-in-out';
+    }
+
+    /**
+     * Fixed and sticky headers the scroll offset is measured from
+     *
+     * The WordPress admin bar is always taken into account and does not
+     * need to be listed.
+     *
+     * @return array{selectors: string[], gap: int}
+     */
+    private function get_header_options(): array
+    {
+        $selectors = apply_filters('smart_section_toc_header_selectors', array(
+            '.site-header',
+            '.header-sticky',
+            'header[data-sticky="true"]',
+            '.sticky-header',
+            '#masthead.sticky',
+            'header.fixed',
+        ));
+
+        return array(
+            'selectors' => array_values(array_filter(array_map('trim', (array) $selectors))),
+            'gap' => max(0, (int) apply_filters('smart_section_toc_header_gap', 20)),
         );
     }
 
+    /**
+     * Analytics settings for the script
+     *
+     * Off unless smart_section_toc_analytics returns true. The callback is
+     * the name of a global function (dots allowed, e.g. "myTracker.track").
+     *
+     * @return array{enabled: bool, dataLayer: bool, callback: string, readTime: int}
+     */
+    private function get_analytics_options(): array
+    {
+        $callback = (string) apply_filters('smart_section_toc_analytics_callback', '');
+
+        return array(
+            'enabled' => (bool) apply_filters('smart_section_toc_analytics', false),
+            'dataLayer' => (bool) apply_filters('smart_section_toc_analytics_datalayer', true),
+            'callback' => preg_match('/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/', $callback) ? $callback : '',
+            'readTime' => max(1, (int) apply_filters('smart_section_toc_analytics_read_time', 10)),
+        );
+    }
+
+    /**
+     * Restrict the title tag to a safe list, falling back to h3
+     *
+     * @param string $tag Requested tag name.
+     * @return string
+     */
+    private function sanitize_title_tag(string $tag): string
+    {
+        $tag = strtolower(trim($tag));
+        return in_array($tag, self::TITLE_TAGS, true) ? $tag : 'h3';
+    }
+
     /**
      * Conditionally enqueue plugin assets
      *
@@ -279,6 +1211,7 @@ class Smart_Section_TOC
             if (
                 has_shortcode($content, 'smart_section_toc') ||
                 has_shortcode($content, 'smart_section_toc_mobile_button') ||
+                has_block('smart-section-toc/toc', $post) ||
                 substr_count($content, '<h2') >= 1
             ) {
                 $this->enqueue_assets_files();
@@ -322,14 +1255,57 @@ class Smart_Section_TOC
                 'contentSelector' => apply_filters('smart_section_toc_content_selector', '.site-content'),
                 'headingSelector' => apply_filters('smart_section_toc_heading_selector', 'h2'),
                 'scrollOffset' => apply_filters('smart_section_toc_scroll_offset', 80),
+                'scrollDuration' => max(0, (int) apply_filters('smart_section_toc_scroll_duration', 0)),
+                'scrollEasing' => $this->get_scroll_easing(),
+                'header' => $this->get_header_options(),
                 'minHeadings'     => apply_filters('smart_section_toc_min_headings', 1),
-                'strings' => array(
-                    'goToSection' => __('Go to section:', 'smart-section-toc'),
-                ),
+                'collapsible' => (bool) apply_filters('smart_section_toc_collapsible', true),
+                'liveUpdate' => (bool) apply_filters('smart_section_toc_live_update', false),
+                'liveUpdateDelay' => (int) apply_filters('smart_section_toc_live_update_delay', 250),
+                'activationLine' => (float) apply_filters('smart_section_toc_activation_line', 0.2),
+                'excludeSelectors' => Smart_Section_TOC_Outline::get_exclude_selectors(),
+                'anchors' => (bool) apply_filters('smart_section_toc_heading_anchors', false),
+                'mobileBar' => (bool) apply_filters('smart_section_toc_mobile_bar', false),
+                'markCollapsed' => (bool) apply_filters('smart_section_toc_mark_collapsed', false),
+                'readingProgress' => (bool) apply_filters('smart_section_toc_reading_progress', false),
+                'filter' => (bool) apply_filters('smart_section_toc_filter', false),
+                'filterMinHeadings' => max(0, (int) apply_filters('smart_section_toc_filter_min_headings', 10)),
+                'numbering' => Smart_Section_TOC_Outline::get_numbering_options(),
+                'history' => $this->get_history_mode(),
+                'historyOnScroll' => (bool) apply_filters('smart_section_toc_history_on_scroll', false),
+                'analytics' => $this->get_analytics_options(),
+                'slug' => Smart_Section_TOC_Outline::get_slug_options(),
+                'strings' => $this->get_script_strings(),
             )
         );
     }
 
+    /**
+     * Pass the headings on the other pages of a paginated post to the script
+     *
+     * Runs in the footer, after the content has rendered, so the other
+     * pages are only read when the page actually has a TOC.
+     *
+     * @return void
+     */
+    public function add_pagination_data(): void
+    {
+        if (! $this->enqueue_assets || ! wp_script_is('smart-section-toc')) {
+            return;
+        }
+
+        $pagination = $this->get_pagination();
+        if (null === $pagination) {
+            return;
+        }
+
+        wp_add_inline_script(
+            'smart-section-toc',
+            'smartSectionTOC.pagination = ' . wp_json_encode($pagination) . ';',
+            'before'
+        );
+    }
+
     /**
      * Add admin menu item under Settings.
      *
@@ -379,6 +1355,20 @@ class Smart_Section_TOC
 
             <h2><?php esc_html_e('Shortcode', 'smart-section-toc'); ?></h2>
             <p><code>[smart_section_toc]</code></p>
+            <p><?php esc_html_e('Both shortcodes accept these optional attributes to override the global settings for a single TOC:', 'smart-section-toc'); ?></p>
+            <ul>
+                <li><code>content</code> – <?php esc_html_e('CSS selector for the content area to scan.', 'smart-section-toc'); ?></li>
+                <li><code>headings</code> – <?php esc_html_e('Heading selector, e.g. "h2, h3".', 'smart-section-toc'); ?></li>
+                <li><code>min</code> – <?php esc_html_e('Minimum number of headings before the TOC is shown.', 'smart-section-toc'); ?></li>
+                <li><code>offset</code> – <?php esc_html_e('Scroll offset in pixels.', 'smart-section-toc'); ?></li>
+                <li><code>exclude</code> – <?php esc_html_e('CSS selector for headings (or their containers) to leave out.', 'smart-section-toc'); ?></li>
+                <li><code>title_tag</code> – <?php esc_html_e('Tag used for the TOC title (default h3).', 'smart-section-toc'); ?></li>
+            </ul>
+            <p><code>[smart_section_toc headings="h2, h3" min="3" exclude=".faq"]</code></p>
+            <p><?php esc_html_e('Add mode="popup" to [smart_section_toc] to show only a button that opens the TOC in a popup.', 'smart-section-toc'); ?></p>
+
+            <h2><?php esc_html_e('Block', 'smart-section-toc'); ?></h2>
+            <p><?php esc_html_e('In the block editor, add the "Table of Contents" block (or the "Table of Contents Mobile Button" variation). The block settings cover the title, heading levels, minimum headings and the display mode: desktop navigation, popup or inline mobile button. The editor shows a live preview of the headings in the post. Shortcodes are converted to the block when they are pasted, or when classic content is converted to blocks.', 'smart-section-toc'); ?></p>
 
             <h2><?php esc_html_e('Content container class', 'smart-section-toc'); ?></h2>
             <p>
@@ -399,6 +1389,201 @@ class Smart_Section_TOC
             <pre><code>add_filter( 'smart_section_toc_heading_selector', function() {
     return 'h2, h3';
 });</code></pre>
+            <p>
+                <?php esc_html_e('When several heading levels are selected, lower levels are nested under their parent heading. Nested branches collapse and expand automatically as the reader scrolls. To keep all branches expanded, use this filter:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_collapsible', '__return_false' );</code></pre>
+
+            <h2><?php esc_html_e('Excluding headings and short labels', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Add data-toc-exclude or the class "no-toc" to a heading, or to a container around it, to leave it out of the TOC. In the block editor, Heading blocks have a "Hide from table of contents" toggle. Use data-toc-label to show a shorter text in the TOC:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>&lt;h2 data-toc-label="Pricing"&gt;What does it cost to get started with our service?&lt;/h2&gt;</code></pre>
+            <p>
+                <?php esc_html_e('Headings inside widgets (.widget) are left out on all pages. Change the list of containers with this filter:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_exclude_selectors', function( $selectors ) {
+    $selectors[] = '.newsletter-box';
+    $selectors[] = '.related-posts';
+    return $selectors;
+});</code></pre>
+
+            <h2><?php esc_html_e('Active section', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('A section becomes active when its heading passes a line 20% from the top of the screen. At the bottom of the page the last section is always active. Move the line with this filter, as a fraction of the screen height (0–1) or in pixels:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_activation_line', function() {
+    return 0.5; // or e.g. 150 for 150px
+});</code></pre>
+
+            <h2><?php esc_html_e('Scroll animation', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('By default the browser\'s smooth scrolling is used. Set a duration to animate the scroll at the same speed in every browser, optionally with an easing (linear, ease-in, ease-out or ease-in-out). The scroll stops when the reader scrolls or touches the screen, and the page jumps without animation when the reader has asked for reduced motion:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_scroll_duration', function() {
+    return 600; // milliseconds
+});
+
+add_filter( 'smart_section_toc_scroll_easing', function() {
+    return 'ease-out';
+});</code></pre>
+
+            <h2><?php esc_html_e('Sticky headers', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Headings are scrolled to just below fixed and sticky headers and the WordPress admin bar. The headers are watched while the page is open, so headers that shrink or hide when scrolling are handled, and headings get a matching scroll-margin-top for ordinary anchor links. Add your theme\'s header if it is not found, or change the gap below it (default 20px):', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_header_selectors', function( $selectors ) {
+    $selectors[] = '.my-theme-header';
+    return $selectors;
+});
+
+add_filter( 'smart_section_toc_header_gap', function() {
+    return 12;
+});</code></pre>
+
+            <h2><?php esc_html_e('Headings in details, accordions and tabs', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('When a TOC link points to a heading inside a closed details element, a collapsed accordion or an inactive tab, the container is opened before the page scrolls. Accordions and tabs that follow the ARIA patterns (aria-expanded, aria-controls, role="tab") work out of the box; other markup can be handled with SmartSectionTOC.addRevealer() in JavaScript. Links to hidden headings can also be styled with the is-collapsed class:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_mark_collapsed', '__return_true' );</code></pre>
+
+            <h2><?php esc_html_e('Posts split into pages', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('In posts split with the Page Break block (<!--nextpage-->), the TOC lists the sections of every page. Sections on other pages link to that page (e.g. "/my-post/2/#heading-my-section") and are marked with their page number; sections on the current page scroll and highlight as usual. Numbering continues across the pages. To list only the current page:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_paginated', '__return_false' );</code></pre>
+
+            <h2><?php esc_html_e('Outline for other tools', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Headless front ends, sitemaps and other tools can get the outline of a post without a browser, with the same heading IDs as the page. Add format=markdown or format=html to also get a printable outline:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>GET /wp-json/smart-section-toc/v1/posts/42
+GET /wp-json/smart-section-toc/v1/posts/42?format=markdown
+
+wp smart-toc outline 42
+wp smart-toc outline 42 --format=markdown</code></pre>
+
+            <h2><?php esc_html_e('Dynamic content', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('The TOC is built once when the page loads. If headings are added or changed later (AJAX, "load more" buttons, tabs), enable live mode to keep the TOC in sync:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_live_update', '__return_true' );</code></pre>
+
+            <h2><?php esc_html_e('Links and browser history', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Links to a section (e.g. "/my-post/#heading-my-section") scroll to the heading with the same offset as the TOC, also when using the back and forward buttons. Clicking the TOC does not change the address bar by default. To make each click a history entry, or to keep the address bar in sync while reading, use these filters:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>// 'push' adds a history entry per click, 'replace' updates the current one
+add_filter( 'smart_section_toc_history', function() {
+    return 'push';
+});
+
+// Update the address bar as the reader scrolls (without new history entries)
+add_filter( 'smart_section_toc_history_on_scroll', '__return_true' );</code></pre>
+
+            <h2><?php esc_html_e('Filtering long lists', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Add a filter box above the list in the desktop TOC and the popup. Typing narrows the list to matching sections, ignoring case and accents, and keeps the parent sections of matches visible. Enter goes to the first match, and the number of matches is announced to screen readers. The box is only shown when the TOC has at least 10 entries:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_filter', '__return_true' );
+
+// Show the box from 20 entries
+add_filter( 'smart_section_toc_filter_min_headings', function() {
+    return 20;
+});</code></pre>
+
+            <h2><?php esc_html_e('Mobile section bar', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('On phones, pin a slim bar under the site header that shows the current section and how far the reader has come. Tapping it opens the TOC list. The bar hides when scrolling down and comes back when scrolling up:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_mobile_bar', '__return_true' );</code></pre>
+
+            <h2><?php esc_html_e('Reading progress', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Show how much of each section has been read as a line under its link, mark finished sections with the is-read class, and add a progress bar for the whole article below the TOC title. The values are available to themes as the CSS custom properties --section-progress on each link and --article-progress on the TOC, both from 0 to 1:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_reading_progress', '__return_true' );
+
+/* Theme CSS: fade finished sections */
+.smart-toc-link.is-read {
+    opacity: 0.6;
+}</code></pre>
+
+            <h2><?php esc_html_e('Usage analytics', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Measure how readers use the TOC. When enabled, the script reports link clicks (from the desktop TOC, the popup or the inline button), opening and closing the popup, the first time each section is reached, and sections that stay active for a number of seconds. Events are pushed to window.dataLayer if it exists and passed to a callback if one is set; with neither, nothing is sent:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_analytics', '__return_true' );
+
+// Also call a global function with (name, payload)
+add_filter( 'smart_section_toc_analytics_callback', function() {
+    return 'myTracker.track';
+});
+
+// Seconds a section must stay active to count as read (default: 10)
+add_filter( 'smart_section_toc_analytics_read_time', function() {
+    return 20;
+});</code></pre>
+
+            <h2><?php esc_html_e('Section numbering', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Number the sections automatically from the heading levels (1, 1.1, 1.2, 2 …). The style can be "decimal", "alpha" (A, A.1) or "roman" (I, I.1); it applies to the top level, deeper levels are always decimal. Numbers can also be shown in front of the headings themselves, where they are not copied with the heading text:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_numbering', function() {
+    return 'decimal';
+});
+
+// Show the numbers in front of the headings too
+add_filter( 'smart_section_toc_numbering_headings', '__return_true' );
+
+// Start numbering at H3 (higher levels are not numbered)
+add_filter( 'smart_section_toc_numbering_start_level', function() {
+    return 3;
+});</code></pre>
+
+            <h2><?php esc_html_e('Heading links', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Show a link button next to each heading in the TOC. It appears on hover or keyboard focus and copies the full link to that section:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_heading_anchors', '__return_true' );</code></pre>
+
+            <h2><?php esc_html_e('Server-side rendering', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('By default the TOC is built in the browser. Enable server-side rendering to write heading IDs and the link list into the page HTML, so the TOC and section links work without JavaScript and are visible to crawlers:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>add_filter( 'smart_section_toc_server_render', '__return_true' );</code></pre>
+
+            <h2><?php esc_html_e('Heading IDs', 'smart-section-toc'); ?></h2>
+            <p>
+                <?php esc_html_e('Headings without an id get one based on their text, e.g. "heading-my-section". By default æ, ø, å, ä, ö and ü are transliterated and other non-ASCII letters are left out, as in earlier versions, so existing links keep working. The following filters change this:', 'smart-section-toc'); ?>
+            </p>
+            <pre><code>// Transliterate accented, Greek and Cyrillic letters too ("Café" → "heading-cafe").
+// Changes the IDs of existing headings with such letters.
+add_filter( 'smart_section_toc_slug_transliterate', '__return_true' );
+
+// Keep letters from any script (e.g. "heading-привет")
+add_filter( 'smart_section_toc_slug_unicode', '__return_true' );
+
+// Change the prefix (default "heading-")
+add_filter( 'smart_section_toc_slug_prefix', function() {
+    return 'section-';
+});
+
+// Limit the slug length (0 = no limit)
+add_filter( 'smart_section_toc_slug_max_length', function() {
+    return 40;
+});
+
+// Add or change transliterations
+add_filter( 'smart_section_toc_transliteration', function( $table ) {
+    $table['ŵ'] = 'w';
+    return $table;
+});
+
+// Fully custom slugs (use SmartSectionTOC.setSlugger() in JavaScript too)
+add_filter( 'smart_section_toc_slug', function( $slug, $text ) {
+    return $slug;
+}, 10, 2 );</code></pre>
 
             <h2><?php esc_html_e('Need help?', 'smart-section-toc'); ?></h2>
             <p>